@@ -1,8 +1,9 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { 
-  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, Legend, ResponsiveContainer, LineChart, Line, ComposedChart, ScatterChart, Scatter, ZAxis, ReferenceLine, LabelList, AreaChart, Area
+  BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip as RechartsTooltip, Legend, ResponsiveContainer, LineChart, Line, ComposedChart, ScatterChart, Scatter, ZAxis, ReferenceLine, LabelList, AreaChart, Area,
+  RadarChart, Radar, PolarGrid, PolarAngleAxis, PolarRadiusAxis, ErrorBar
 } from 'recharts';
-import { Upload, Database, TrendingUp, Activity, Save, Trash2, Filter, AlertCircle, Award, Search, Calendar, RefreshCw, LineChart as LineChartIcon, BarChart2, Menu, X, BookOpen, HelpCircle } from 'lucide-react';
+import { Upload, Database, TrendingUp, Activity, Save, Trash2, Filter, AlertCircle, Award, Calendar, RefreshCw, LineChart as LineChartIcon, BarChart2, Menu, X, BookOpen, HelpCircle } from 'lucide-react';
 
 // --- Default Data (Import from files) ---
 import DEFAULT_BATTING_CSV_URL from './data/scorer_stats_raw_b.csv?url';
@@ -10,39 +11,513 @@ import DEFAULT_PITCHING_CSV_URL from './data/scorer_stats_raw_p.csv?url';
 
 // --- Helper Functions ---
 
-const parseCSV = (text) => {
-  const lines = text.trim().split('\n');
-  if (lines.length < 2) return [];
-  
-  let headerLine = lines[0];
-  // Remove BOM (Byte Order Mark) if it exists at the beginning of the file
-  if (headerLine.charCodeAt(0) === 0xFEFF) {
-      headerLine = headerLine.substring(1);
+// Columns kept as strings even when they look numeric (IDs, dates, names, ...)
+const TEXT_COLUMNS = ['選手ID', '名前', '日付', '試合ID', 'スコア', 'カテゴリ', '球場', 'タイトル', '背番号', '先攻', '後攻'];
+
+// Decode an uploaded file. Scorer app exports are UTF-8 (with or without BOM),
+// but files re-saved in Excel on Windows come out as Shift_JIS.
+const decodeCSVBuffer = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch (e) {
+    return new TextDecoder('shift_jis').decode(bytes);
   }
-  const headers = headerLine.split(',').map(h => h.trim());
-  const result = [];
-  
-  for (let i = 1; i < lines.length; i++) {
-    const currentline = lines[i].split(',');
-    if (currentline.length <= 1) continue;
-    
+};
+
+// RFC 4180 tokenizer: quoted fields, "" escapes, embedded commas/newlines, CRLF/LF/CR.
+// Returns records as { line, fields } where line is the 1-based line the record starts on.
+const tokenizeCSV = (text) => {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+  let i = 0;
+
+  const endRecord = () => {
+    fields.push(field);
+    records.push({ line: recordLine, fields });
+    fields = [];
+    field = '';
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+      } else {
+        if (ch === '\n' || (ch === '\r' && text[i + 1] !== '\n')) line++;
+        field += ch;
+      }
+      i++;
+      continue;
+    }
+
+    if (ch === '"' && field === '') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      fields.push(field);
+      field = '';
+    } else if (ch === '\r' || ch === '\n') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += ch;
+    }
+    i++;
+  }
+
+  if (field !== '' || fields.length > 0) endRecord();
+  return { records, unterminatedQuote: inQuotes ? recordLine : null };
+};
+
+// Turn tokenized records ({ line, fields }) into row objects keyed by the header record.
+// Returns { rows, issues } where issues is a list of { line, level, message };
+// level 'error' means the row was rejected, 'warning' means it was kept but looks suspicious.
+const parseRecords = (records, issues = []) => {
+  const isBlank = (fields) => fields.every(f => f.trim() === '');
+  const headerIndex = records.findIndex(r => !isBlank(r.fields));
+  if (headerIndex === -1) return { rows: [], issues };
+
+  const headers = records[headerIndex].fields.map(h => h.trim());
+  // Stray trailing commas produce empty header cells; those columns are ignored.
+  const lastColumn = headers.reduce((last, h, idx) => h ? idx : last, -1);
+  const seen = new Set();
+  headers.forEach((h, idx) => {
+    if (!h && idx < lastColumn) {
+      issues.push({ line: records[headerIndex].line, level: 'warning', message: `${idx + 1}列目の見出しが空です。この列は無視されます` });
+    }
+    if (h && seen.has(h)) {
+      issues.push({ line: records[headerIndex].line, level: 'warning', message: `見出し「${h}」が重複しています。後の列の値が使われます` });
+    }
+    seen.add(h);
+  });
+
+  const rows = [];
+  for (const { line, fields } of records.slice(headerIndex + 1)) {
+    if (isBlank(fields)) continue;
+
+    const overflow = fields.slice(headers.length);
+    if (overflow.some(f => f.trim() !== '')) {
+      issues.push({ line, level: 'error', message: `列数が見出しより多いです (${fields.length}列 / 見出し${headers.length}列)。値にカンマが含まれている可能性があります` });
+      continue;
+    }
+    if (fields.length < lastColumn + 1) {
+      issues.push({ line, level: 'error', message: `列数が足りません (${fields.length}列 / 見出し${lastColumn + 1}列)` });
+      continue;
+    }
+
     const obj = {};
-    for (let j = 0; j < headers.length; j++) {
-      let val = currentline[j] ? currentline[j].trim() : '';
-      if (!['選手ID', '名前', '日付', '試合ID', 'スコア', 'カテゴリ', '球場', 'タイトル', '背番号', '先攻', '後攻'].includes(headers[j])) {
-         if (!isNaN(val) && val !== '') {
-             val = Number(val);
-         }
+    const rowWarnings = [];
+    headers.forEach((header, j) => {
+      if (!header) return;
+      let val = (fields[j] ?? '').trim();
+      if (!TEXT_COLUMNS.includes(header) && val !== '') {
+        if (isNaN(val)) {
+          rowWarnings.push(`「${header}」の値「${val}」が数値ではないため0として扱いました`);
+          val = 0;
+        } else {
+          val = Number(val);
+        }
       }
-      obj[headers[j]] = val;
+      obj[header] = val;
+    });
+
+    if (!obj['選手ID'] && !obj['名前']) {
+      issues.push({ line, level: 'error', message: '選手IDと名前がどちらも空です' });
+      continue;
     }
-    result.push(obj);
+    if ('試合ID' in obj && !obj['試合ID']) {
+      rowWarnings.push('試合IDが空です');
+    }
+    rowWarnings.forEach(message => issues.push({ line, level: 'warning', message }));
+    rows.push(obj);
+  }
+
+  return { rows, issues };
+};
+
+// Tokenize CSV text, reporting an unterminated quote as an issue.
+const readCSVRecords = (text) => {
+  const issues = [];
+  if (text.charCodeAt(0) === 0xFEFF) text = text.substring(1);
+
+  const { records, unterminatedQuote } = tokenizeCSV(text);
+  if (unterminatedQuote) {
+    issues.push({ line: unterminatedQuote, level: 'error', message: '引用符 (") が閉じられていません。以降の内容は1つの値として読み込まれました' });
+  }
+  return { records, issues };
+};
+
+// Parse a scorer_stats_raw CSV into row objects (see parseRecords for the result shape).
+const parseCSV = (text) => {
+  const { records, issues } = readCSVRecords(text);
+  return parseRecords(records, issues);
+};
+
+// Minimal ZIP reader (stored and deflate entries) built on the browser's DecompressionStream.
+// Returns [{ name, data: Uint8Array }] for every file entry in the archive.
+const readZipEntries = async (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(buffer);
+
+  // End of central directory record: signature 0x06054b50, searched backwards past the comment
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error('ZIPファイルとして読み込めません');
+
+  const entryCount = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const entries = [];
+
+  for (let n = 0; n < entryCount; n++) {
+    if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('ZIPファイルが壊れています');
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const nameBytes = bytes.subarray(offset + 46, offset + 46 + nameLength);
+    // Bit 11 marks UTF-8 names; Windows' built-in zip writes Shift_JIS names without it
+    const name = new TextDecoder((flags & 0x800) ? 'utf-8' : 'shift_jis').decode(nameBytes);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) continue;
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const raw = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    if (method === 0) {
+      entries.push({ name, data: raw });
+    } else if (method === 8) {
+      const stream = new Blob([raw]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      entries.push({ name, data: new Uint8Array(await new Response(stream).arrayBuffer()) });
+    } else {
+      throw new Error(`${name}: 対応していない圧縮形式です`);
+    }
+  }
+  return entries;
+};
+
+// Read an .xlsx workbook into [{ name, records }] per sheet, where records match tokenizeCSV's
+// output ({ line, fields }) so sheets go through the same parseRecords path as CSV files.
+const readXlsxSheets = async (buffer) => {
+  const entries = await readZipEntries(buffer);
+  const files = new Map(entries.map(e => [e.name.replace(/^\//, ''), e.data]));
+  const parseXml = (path) => {
+    const data = files.get(path);
+    if (!data) return null;
+    return new DOMParser().parseFromString(new TextDecoder('utf-8').decode(data), 'application/xml');
+  };
+  const byTag = (node, tag) => Array.from(node.getElementsByTagNameNS('*', tag));
+
+  const workbook = parseXml('xl/workbook.xml');
+  if (!workbook) throw new Error('Excelブック (.xlsx) として読み込めません');
+  const date1904 = byTag(workbook, 'workbookPr').some(el => ['1', 'true'].includes(el.getAttribute('date1904')));
+
+  const rels = parseXml('xl/_rels/workbook.xml.rels');
+  const targets = new Map(rels ? byTag(rels, 'Relationship').map(el => [el.getAttribute('Id'), el.getAttribute('Target')]) : []);
+
+  // Shared strings; phonetic guides (<rPh>) on Japanese text are skipped
+  const sharedStringsXml = parseXml('xl/sharedStrings.xml');
+  const sharedStrings = sharedStringsXml ? byTag(sharedStringsXml, 'si').map(si =>
+    byTag(si, 't').filter(t => t.parentNode.localName !== 'rPh').map(t => t.textContent).join('')
+  ) : [];
+
+  const columnIndex = (ref) => {
+    const letters = (ref.match(/^[A-Z]+/) || [''])[0];
+    return letters.split('').reduce((acc, ch) => acc * 26 + (ch.charCodeAt(0) - 64), 0) - 1;
+  };
+
+  // Excel stores dates as serial day numbers
+  const serialToDate = (serial) => {
+    const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+    const d = new Date(epoch + Math.round(serial) * 86400000);
+    return `${d.getUTCFullYear()}-${d.getUTCMonth() + 1}-${d.getUTCDate()}`;
+  };
+
+  return byTag(workbook, 'sheet').map(sheetEl => {
+    const name = sheetEl.getAttribute('name');
+    const target = targets.get(sheetEl.getAttributeNS('http://schemas.openxmlformats.org/officeDocument/2006/relationships', 'id') || sheetEl.getAttribute('r:id')) || '';
+    const path = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+    const sheet = parseXml(path);
+    if (!sheet) return { name, records: [] };
+
+    const records = byTag(sheet, 'row').map((rowEl, rowIdx) => {
+      const fields = [];
+      byTag(rowEl, 'c').forEach(cell => {
+        const ref = cell.getAttribute('r');
+        const col = ref ? columnIndex(ref) : fields.length;
+        const type = cell.getAttribute('t');
+        const v = byTag(cell, 'v')[0]?.textContent ?? '';
+        let value;
+        if (type === 's') value = sharedStrings[Number(v)] ?? '';
+        else if (type === 'inlineStr') value = byTag(cell, 't').map(t => t.textContent).join('');
+        else if (type === 'b') value = v === '1' ? 'TRUE' : 'FALSE';
+        else value = v;
+        fields[col] = value;
+      });
+      return { line: Number(rowEl.getAttribute('r')) || rowIdx + 1, fields: Array.from(fields, f => f ?? '') };
+    });
+
+    // Empty trailing cells are omitted in xlsx; pad rows to the header width
+    const header = records.find(r => r.fields.some(f => f.trim() !== ''));
+    const width = header ? header.fields.length : 0;
+    const dateCol = header ? header.fields.findIndex(f => f.trim() === '日付') : -1;
+    records.forEach(r => {
+      while (r.fields.length < width) r.fields.push('');
+      if (r !== header && dateCol !== -1 && /^\d+(\.\d+)?$/.test(r.fields[dateCol])) {
+        r.fields[dateCol] = serialToDate(Number(r.fields[dateCol]));
+      }
+    });
+    return { name, records };
+  });
+};
+
+// Route a parsed file to batting or pitching by filename, falling back to its columns.
+const detectDataType = (fileName, rows) => {
+  if (fileName.includes('_b.csv') || (rows[0] && '打席数' in rows[0])) return 'batting';
+  if (fileName.includes('_p.csv') || (rows[0] && ('投球回' in rows[0] || '球数' in rows[0]))) return 'pitching';
+  return null;
+};
+
+// Known column sets of the scorer app's scorer_stats_raw_b.csv / _p.csv exports
+const COMMON_COLUMNS = ['選手ID', '名前', '背番号', '試合ID', '日付', '先攻', 'スコア', '後攻', 'タイトル', 'カテゴリ', '球場'];
+const BATTING_COLUMNS = [...COMMON_COLUMNS, '打席数', '打数', '得点', '安打', '二塁打', '三塁打', '本塁打', '塁打数', '打点', '盗塁', '盗塁死', '犠打', '犠飛', '四球', '死球', '三振', '残塁', '併殺打', '圏打数', '圏安打', 'GO', 'FO'];
+const PITCHING_COLUMNS = [...COMMON_COLUMNS, '先発', '勝数', '負数', 'セーブ', 'ホールド', 'QS', 'アウト数', '球数', 'S数', '打者', '打数', '安打', '本塁打', '四球', '死球', '三振', '失点', '自責点', '暴投', 'ボーク', '犠打', '犠飛', 'GO', 'FO'];
+
+// Compare a file's columns against the known set for its type.
+const validateColumns = (rows, type) => {
+  if (rows.length === 0) return [];
+  const expected = type === 'batting' ? BATTING_COLUMNS : PITCHING_COLUMNS;
+  const actual = Object.keys(rows[0]);
+  const issues = [];
+  const missing = expected.filter(c => !actual.includes(c));
+  const unknown = actual.filter(c => !expected.includes(c));
+  if (missing.length > 0) {
+    issues.push({ line: 1, level: 'warning', message: `列が見つかりません: ${missing.join(', ')}（該当する指標は0として集計されます）` });
+  }
+  if (unknown.length > 0) {
+    issues.push({ line: 1, level: 'warning', message: `想定外の列は集計に使われません: ${unknown.join(', ')}` });
   }
-  return result;
+  return issues;
+};
+
+// --- Column mapping (exports from other scoring apps) ---
+
+const CANONICAL_COLUMNS = [...new Set([...BATTING_COLUMNS, ...PITCHING_COLUMNS])];
+
+// Common header spellings from other apps, used to pre-fill the mapping step. Keys are lower-cased.
+const HEADER_ALIASES = {
+  common: {
+    'playerid': '選手ID', 'player id': '選手ID', 'id': '選手ID', 'name': '名前', 'player': '名前', 'player name': '名前', '選手名': '名前',
+    '#': '背番号', 'no': '背番号', 'no.': '背番号', 'number': '背番号', 'uniform': '背番号',
+    'gameid': '試合ID', 'game id': '試合ID', 'game': '試合ID', 'date': '日付', '試合日': '日付',
+    'away': '先攻', 'visitor': '先攻', 'home': '後攻', 'score': 'スコア', 'result': 'スコア',
+    'tournament': 'タイトル', 'competition': 'タイトル', '大会': 'タイトル', 'category': 'カテゴリ',
+    'venue': '球場', 'field': '球場', 'ballpark': '球場', 'stadium': '球場',
+    'ab': '打数', 'h': '安打', 'hr': '本塁打', 'bb': '四球', 'hbp': '死球', 'so': '三振', 'k': '三振',
+    'sh': '犠打', 'sac': '犠打', 'sf': '犠飛', 'go': 'GO', 'fo': 'FO', 'ao': 'FO',
+  },
+  batting: {
+    'pa': '打席数', 'r': '得点', '2b': '二塁打', '3b': '三塁打', 'tb': '塁打数', 'rbi': '打点',
+    'sb': '盗塁', 'cs': '盗塁死', 'lob': '残塁', 'gdp': '併殺打', 'gidp': '併殺打',
+    'risp ab': '圏打数', 'ab risp': '圏打数', 'risp h': '圏安打', 'h risp': '圏安打',
+  },
+  pitching: {
+    'gs': '先発', 'w': '勝数', 'l': '負数', 'sv': 'セーブ', 'hld': 'ホールド', 'qs': 'QS', 'outs': 'アウト数',
+    'np': '球数', 'pitches': '球数', 'pc': '球数', 'strikes': 'S数', 'bf': '打者', 'tbf': '打者',
+    'r': '失点', 'er': '自責点', 'wp': '暴投', 'bk': 'ボーク',
+  },
+};
+
+const headerRecordOf = (records) => records.find(r => r.fields.some(f => f.trim() !== ''));
+
+const unknownHeaders = (headers) => headers.filter(h => h && !CANONICAL_COLUMNS.includes(h));
+
+const suggestMapping = (headers, type) => {
+  const aliases = { ...HEADER_ALIASES.common, ...HEADER_ALIASES[type] };
+  return Object.fromEntries(headers.map(h => [h, aliases[h.toLowerCase()] || '']));
+};
+
+// Guess batting/pitching for a file whose headers are not (all) canonical.
+const guessMappingType = (headers) => {
+  const score = (type) => headers.filter(h => HEADER_ALIASES[type][h.toLowerCase()] || (type === 'batting' ? BATTING_COLUMNS : PITCHING_COLUMNS).includes(h)).length;
+  return score('pitching') > score('batting') ? 'pitching' : 'batting';
+};
+
+// A saved profile applies when every header it maps is present in the file.
+const findMappingProfile = (headers, profiles) => profiles.find(p => {
+  const keys = Object.keys(p.mapping);
+  return keys.length > 0 && keys.every(k => headers.includes(k));
+});
+
+// Rename header cells per mapping ({ source: canonical }); columns mapped to '' are dropped.
+const applyHeaderMapping = (records, mapping) => {
+  const header = headerRecordOf(records);
+  if (!header) return records;
+  const names = header.fields.map(h => h.trim());
+  const dropped = new Set(names.map((h, idx) => (h in mapping && !mapping[h]) ? idx : -1).filter(idx => idx !== -1));
+  return records.map(record => {
+    const fields = record.fields.filter((_, idx) => !dropped.has(idx));
+    if (record !== header) return { ...record, fields };
+    return { ...record, fields: names.filter((_, idx) => !dropped.has(idx)).map(h => mapping[h] || h) };
+  });
+};
+
+// Internal consistency checks per row. Each rule returns a message when the row violates it.
+const BATTING_RULES = [
+  (v) => v('安打') < v('二塁打') + v('三塁打') + v('本塁打') && `安打(${v('安打')}) < 二塁打+三塁打+本塁打(${v('二塁打') + v('三塁打') + v('本塁打')})`,
+  (v) => v('打数') < v('安打') && `打数(${v('打数')}) < 安打(${v('安打')})`,
+  (v) => v('打席数') !== v('打数') + v('四球') + v('死球') + v('犠打') + v('犠飛') && `打席数(${v('打席数')}) ≠ 打数+四球+死球+犠打+犠飛(${v('打数') + v('四球') + v('死球') + v('犠打') + v('犠飛')})`,
+  (v, row) => '塁打数' in row && v('塁打数') !== v('安打') + v('二塁打') + v('三塁打') * 2 + v('本塁打') * 3 && `塁打数(${v('塁打数')}) が安打内訳から計算した値(${v('安打') + v('二塁打') + v('三塁打') * 2 + v('本塁打') * 3})と一致しません`,
+  (v) => v('圏安打') > v('圏打数') && `圏安打(${v('圏安打')}) > 圏打数(${v('圏打数')})`,
+  (v) => v('圏打数') > v('打数') && `圏打数(${v('圏打数')}) > 打数(${v('打数')})`,
+];
+const PITCHING_RULES = [
+  (v) => v('S数') > v('球数') && `S数(${v('S数')}) > 球数(${v('球数')})`,
+  (v) => v('自責点') > v('失点') && `自責点(${v('自責点')}) > 失点(${v('失点')})`,
+  (v) => v('安打') > v('打数') && `被安打(${v('安打')}) > 打数(${v('打数')})`,
+  (v) => v('本塁打') > v('安打') && `被本塁打(${v('本塁打')}) > 被安打(${v('安打')})`,
+  (v) => v('打者') !== v('打数') + v('四球') + v('死球') + v('犠打') + v('犠飛') && `打者(${v('打者')}) ≠ 打数+四球+死球+犠打+犠飛(${v('打数') + v('四球') + v('死球') + v('犠打') + v('犠飛')})`,
+  (v) => v('球数') > 0 && v('球数') < v('打者') && `球数(${v('球数')}) < 打者(${v('打者')})`,
+];
+
+// Run the consistency rules over stored rows for the データ品質 panel.
+const validateRows = (rows, type) => {
+  const rules = type === 'batting' ? BATTING_RULES : PITCHING_RULES;
+  const issues = [];
+  rows.forEach(row => {
+    const v = (col) => Number(row[col]) || 0;
+    const base = { type, gameId: row['試合ID'], date: row['日付'], name: row['名前'] };
+    Object.entries(row).forEach(([col, val]) => {
+      if (typeof val === 'number' && val < 0) issues.push({ ...base, message: `${col}が負の値です (${val})` });
+    });
+    rules.forEach(rule => {
+      const message = rule(v, row);
+      if (message) issues.push({ ...base, message });
+    });
+  });
+  return issues;
+};
+
+// Rows are identified by game + player; importing the same game again updates it.
+// Rows without a 試合ID fall back to the date so a player's ID-less games don't collide.
+const rowKey = (row) => `${row['試合ID'] || `date:${row['日付']}`}::${row['選手ID'] || row['名前']}`;
+
+const rowsEqual = (a, b) => {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every(k => a[k] === b[k]);
+};
+
+// Merge incoming rows into existing ones. Existing rows keep their order and are
+// replaced in place when changed; new rows are appended.
+const mergeRows = (existing, incoming) => {
+  const merged = [...existing];
+  const indexByKey = new Map(existing.map((row, idx) => [rowKey(row), idx]));
+  const added = [];
+  const changed = [];
+  const unchanged = [];
+
+  incoming.forEach(row => {
+    const key = rowKey(row);
+    if (!indexByKey.has(key)) {
+      indexByKey.set(key, merged.length);
+      merged.push(row);
+      added.push(row);
+    } else if (!rowsEqual(merged[indexByKey.get(key)], row)) {
+      merged[indexByKey.get(key)] = row;
+      changed.push(row);
+    } else {
+      unchanged.push(row);
+    }
+  });
+
+  return { merged, added, changed, unchanged };
+};
+
+// Summarise a merge per game and per player for the import preview.
+const summarizeMerge = (existing, { added, changed, unchanged }) => {
+  const existingGames = new Set(existing.map(r => r['試合ID']));
+  const existingPlayers = new Set(existing.map(r => r['選手ID'] || r['名前']));
+  const games = new Map();
+  const players = new Map();
+  const rank = { unchanged: 0, changed: 1, added: 2 };
+
+  const mark = (map, id, status, info) => {
+    const current = map.get(id);
+    if (!current || rank[status] > rank[current.status]) map.set(id, { ...info, status });
+  };
+
+  [['added', added], ['changed', changed], ['unchanged', unchanged]].forEach(([rowStatus, rows]) => {
+    rows.forEach(row => {
+      const gameId = row['試合ID'];
+      const playerId = row['選手ID'] || row['名前'];
+      const touched = rowStatus === 'unchanged' ? 'unchanged' : 'changed';
+      mark(games, gameId, existingGames.has(gameId) ? touched : 'added', {
+        id: gameId, date: row['日付'], label: `${row['先攻'] || ''} vs ${row['後攻'] || ''}`
+      });
+      mark(players, playerId, existingPlayers.has(playerId) ? touched : 'added', {
+        id: playerId, name: row['名前'], number: row['背番号']
+      });
+    });
+  });
+
+  const byStatus = (map) => {
+    const values = Array.from(map.values());
+    return {
+      added: values.filter(v => v.status === 'added'),
+      changed: values.filter(v => v.status === 'changed'),
+      unchanged: values.filter(v => v.status === 'unchanged'),
+    };
+  };
+  return { games: byStatus(games), players: byStatus(players) };
 };
 
 const safeDiv = (a, b) => b === 0 ? 0 : a / b;
 
+// --- Rule profiles per competition (タイトル) ---
+// ruleSettings = { profiles: [{ id, name, innings, pitchLimit, dh, freeSubstitution }], titleProfiles: { タイトル: profileId }, defaultProfileId }
+
+const DEFAULT_RULE_SETTINGS = {
+  profiles: [
+    { id: 'league', name: '公式戦 (7回)', innings: 7, pitchLimit: 70, dh: false, freeSubstitution: false },
+    { id: 'mini', name: 'ミニゲーム (5回)', innings: 5, pitchLimit: 50, dh: false, freeSubstitution: true },
+    { id: 'practice', name: '練習試合 (時間制)', innings: 5, pitchLimit: 70, dh: true, freeSubstitution: true },
+  ],
+  // Every title starts on the default profile so existing ERA/K/BB numbers keep the 7-inning scale;
+  // users assign titles to the shorter profiles in the rule settings.
+  titleProfiles: {},
+  defaultProfileId: 'league',
+};
+
+const getRuleProfile = (row, ruleSettings) => {
+  const id = ruleSettings.titleProfiles[row['タイトル']] || ruleSettings.defaultProfileId;
+  return ruleSettings.profiles.find(p => p.id === id) || ruleSettings.profiles[0];
+};
+
+// Per-game rates (ERA, K/7, ...) scale by regulation innings. Across games with different
+// rules the scale is the regulation innings weighted by outs recorded, so regOuts is
+// Σ(outs × regulation innings) over the same rows as outs.
+const regulationOuts = (row, ruleSettings) => (row['アウト数'] || 0) * getRuleProfile(row, ruleSettings).innings;
+const perGameRate = (count, outs, regOuts) => safeDiv(count * safeDiv(regOuts, outs), outs / 3);
+
 const parseDate = (dateStr) => {
     if (!dateStr) return new Date(0);
     const parts = dateStr.split(/[-/]/);
@@ -67,18 +542,992 @@ const parseDate = (dateStr) => {
     return new Date(0);
 };
 
+// 7 outs -> "2.1" (2⅓ innings)
+const formatInnings = (outs) => `${Math.floor(outs / 3)}${outs % 3 > 0 ? '.' + (outs % 3) : ''}`;
+
+// Game and player pages are linked as #game=<試合ID> / #player=<選手ID>
+const hashParam = (name) => {
+  const match = window.location.hash.match(new RegExp(`^#${name}=(.+)$`));
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
 const formatRate = (rate, leadingZero = false) => {
     if (typeof rate !== 'number' || isNaN(rate)) return rate;
     const formatted = rate.toFixed(3);
     return leadingZero ? formatted : formatted.replace(/^0/, '');
 };
 
+// +.050 / -.120 for differences between two rates
+const formatSignedRate = (rate) => `${rate > 0 ? '+' : rate < 0 ? '-' : '±'}${formatRate(Math.abs(rate))}`;
+
+// Metrics where a lower value ranks higher
+const ASCENDING_METRICS = ['era', 'whip', 'lobPerPA', 'gidpRate', 'kRate', 'oppAvg', 'pitchesPerInning', 'pitchesPerBatter', 'wpBkPerGame'];
+
+// How each metric is displayed: 'rate' (.300), 'dec3' (0.850), 'dec2' (1.25), 'pct' (25.0%), 'signedRate' (+.050)
+const METRIC_FORMATS = {
+  avg: 'rate', obp: 'rate', isoD: 'rate', iso: 'rate', babip: 'rate', rispAvg: 'rate', gidpRate: 'rate',
+  slg: 'dec3', ops: 'dec3',
+  rispDelta: 'signedRate',
+  kRate: 'pct', bbRate: 'pct', sbRate: 'pct', sacRate: 'pct', xbhRate: 'pct',
+  era: 'dec2', whip: 'dec2', kbb: 'dec2', bbK: 'dec2', lobPerPA: 'dec2', goFo: 'dec2',
+  oppAvg: 'rate', strikeRate: 'pct', pitchesPerInning: 'dec2', pitchesPerBatter: 'dec2', wpBkPerGame: 'dec2',
+};
+
+const formatMetric = (metric, value) => {
+  if (typeof value !== 'number' || isNaN(value)) return value;
+  switch (METRIC_FORMATS[metric]) {
+    case 'rate': return formatRate(value);
+    case 'signedRate': return formatSignedRate(value);
+    case 'dec3': return value.toFixed(3);
+    case 'dec2': return value.toFixed(2);
+    case 'pct': return `${(value * 100).toFixed(1)}%`;
+    default: return Number.isInteger(value) ? value : value.toFixed(2);
+  }
+};
+
+// --- Own team identity ---
+// teamSettings = { namePatterns: [substring, ...], squads: [{ name, pattern }, ...] }
+
+const DEFAULT_TEAM_SETTINGS = {
+  namePatterns: ['ありんこ', 'アントス'],
+  squads: [{ name: 'A軍', pattern: '@A軍' }, { name: 'B軍', pattern: '@B軍' }],
+};
+
+const isOwnTeam = (teamName, teamSettings) => teamSettings.namePatterns.some(p => p && (teamName || '').includes(p));
+
+// Which side we were on: 'away' (先攻), 'home' (後攻) or null when neither name matches.
+const getOwnSide = (row, teamSettings) => {
+  if (isOwnTeam(row['後攻'], teamSettings)) return 'home';
+  if (isOwnTeam(row['先攻'], teamSettings)) return 'away';
+  return null;
+};
+
+const getOpponent = (row, teamSettings) => {
+  const homeTeam = row['後攻'] || '';
+  const awayTeam = row['先攻'] || '';
+  return getOwnSide(row, teamSettings) === 'home' ? awayTeam : homeTeam;
+};
+
+// Squad name (e.g. 'A軍') from our side's team name, or null when it carries no squad suffix.
+const getSquad = (row, teamSettings) => {
+  const side = getOwnSide(row, teamSettings);
+  if (!side) return null;
+  const ownName = side === 'home' ? row['後攻'] : row['先攻'];
+  const squad = teamSettings.squads.find(s => s.pattern && ownName.includes(s.pattern));
+  return squad ? squad.name : null;
+};
+
+// --- Game results ---
+
+// Official score "先攻-後攻" (e.g. "1-20"), tolerating full-width digits and dashes
+const parseScore = (text) => {
+  const normalized = String(text ?? '').replace(/[０-９]/g, c => String.fromCharCode(c.charCodeAt(0) - 0xFEE0));
+  const match = normalized.match(/^\s*(\d+)\s*[-－ー−‐〜~:：対]\s*(\d+)\s*$/);
+  return match ? { away: Number(match[1]), home: Number(match[2]) } : null;
+};
+
+// Runs for/against from the official スコア, or null when the score or our side is unknown
+const getGameScore = (row, teamSettings) => {
+  const score = parseScore(row['スコア']);
+  const side = getOwnSide(row, teamSettings);
+  if (!score || !side) return null;
+  return side === 'home' ? { runsFor: score.home, runsAgainst: score.away } : { runsFor: score.away, runsAgainst: score.home };
+};
+
+// One entry per 試合ID, sorted by date. The result comes from the official score; player
+// totals (得点 from batting, 失点 from pitching) are the fallback and are cross-checked.
+const summarizeGames = (batting, pitching, teamSettings) => {
+  const gamesMap = new Map();
+  const gameOf = (row) => {
+    const gameId = row['試合ID'];
+    if (!gameId) return null;
+    if (!gamesMap.has(gameId)) {
+      gamesMap.set(gameId, {
+        id: gameId,
+        date: row['日付'],
+        opponent: getOpponent(row, teamSettings) || '不明',
+        side: getOwnSide(row, teamSettings),
+        squad: getSquad(row, teamSettings),
+        title: row['タイトル'],
+        category: row['カテゴリ'],
+        venue: row['球場'],
+        scoreText: row['スコア'],
+        officialScore: getGameScore(row, teamSettings),
+        playerRunsScored: 0,
+        playerRunsAllowed: 0,
+        hasPitching: false
+      });
+    }
+    return gamesMap.get(gameId);
+  };
+
+  batting.forEach(row => {
+    const game = gameOf(row);
+    if (game) game.playerRunsScored += (row['得点'] || 0);
+  });
+  pitching.forEach(row => {
+    const game = gameOf(row);
+    if (!game) return;
+    game.playerRunsAllowed += (row['失点'] || 0);
+    game.hasPitching = true;
+  });
+
+  return Array.from(gamesMap.values())
+    .sort((a, b) => parseDate(a.date) - parseDate(b.date))
+    .map(game => {
+      const { officialScore: official } = game;
+      const runsScored = official ? official.runsFor : game.playerRunsScored;
+      const runsAllowed = official ? official.runsAgainst : game.playerRunsAllowed;
+      const scoreMismatch = !!official && (game.playerRunsScored !== official.runsFor || (game.hasPitching && game.playerRunsAllowed !== official.runsAgainst));
+      return {
+        ...game,
+        runsScored,
+        runsAllowed,
+        scoreMismatch,
+        result: runsScored > runsAllowed ? 'W' : runsScored < runsAllowed ? 'L' : 'T'
+      };
+    });
+};
+
+// Data quality issues for games whose official score is unreadable or disagrees with the player rows
+const validateGames = (games) => games.flatMap(game => {
+  const base = { type: 'game', gameId: game.id, date: game.date, name: `vs ${game.opponent}` };
+  if (!game.officialScore) {
+    const reason = !parseScore(game.scoreText) ? `スコア「${game.scoreText || ''}」を読み取れない` : '自チームが先攻・後攻のどちらか判定できない';
+    return [{ ...base, message: `${reason}ため、選手成績の合計で勝敗を判定しています` }];
+  }
+  if (!game.scoreMismatch) return [];
+  const { runsFor, runsAgainst } = game.officialScore;
+  return [{
+    ...base,
+    message: `公式スコア ${runsFor}-${runsAgainst} と選手成績の合計（得点 ${game.playerRunsScored}${game.hasPitching ? ` / 失点 ${game.playerRunsAllowed}` : ''}）が一致しません`
+  }];
+});
+
+// --- Player identity ---
+// roster = { aliases: { sourceKey: targetKey }, displayNames: { playerKey: name } }
+// Rosters are kept per dataset (settings.rosters[datasetId]).
+
+const EMPTY_ROSTER = { aliases: {}, displayNames: {} };
+
+const playerKey = (row) => row['選手ID'] || row['名前'];
+
+// Jersey number to show for a player: the current one set by resolvePlayerRows, else the row's own
+const displayNumber = (row) => row['現背番号'] ?? row['背番号'];
+
+// Follow alias links (A → B → C) to the canonical key; cycles stop where they loop.
+const resolvePlayerKey = (key, aliases) => {
+  let current = key;
+  const seen = new Set();
+  while (aliases[current] && !seen.has(current)) {
+    seen.add(current);
+    current = aliases[current];
+  }
+  return current;
+};
+
+// One entry per canonical player: the IDs merged into it, names seen,
+// jersey-number history in date order, and the name/number to display.
+const buildRoster = (battingRows, pitchingRows, roster) => {
+  const players = new Map();
+  [...battingRows, ...pitchingRows].forEach(row => {
+    const sourceKey = playerKey(row);
+    const id = resolvePlayerKey(sourceKey, roster.aliases);
+    if (!players.has(id)) players.set(id, { id, sourceKeys: new Set(), names: new Set(), appearances: [], games: new Set() });
+    const p = players.get(id);
+    p.sourceKeys.add(sourceKey);
+    p.names.add(row['名前']);
+    p.appearances.push({ date: row['日付'], number: row['背番号'], name: row['名前'] });
+    p.games.add(row['試合ID']);
+  });
+
+  return Array.from(players.values()).map(p => {
+    const sorted = p.appearances.sort((a, b) => parseDate(a.date) - parseDate(b.date));
+    const numberHistory = [];
+    sorted.forEach(a => {
+      const last = numberHistory[numberHistory.length - 1];
+      if (!last || last.number !== a.number) numberHistory.push({ number: a.number, from: a.date, to: a.date });
+      else last.to = a.date;
+    });
+    const latest = sorted[sorted.length - 1];
+    return {
+      id: p.id,
+      sourceKeys: Array.from(p.sourceKeys),
+      names: Array.from(p.names),
+      numberHistory,
+      games: p.games.size,
+      name: roster.displayNames[p.id] || latest.name,
+      number: latest.number,
+    };
+  }).sort((a, b) => (parseInt(a.number) || 999) - (parseInt(b.number) || 999));
+};
+
+// Rewrite rows so merged IDs share one key and display name. 背番号 stays the number worn in
+// that game; the current number goes in 現背番号 for player lists and headings.
+const resolvePlayerRows = (rows, roster, playersById) => rows.map(row => {
+  const id = resolvePlayerKey(playerKey(row), roster.aliases);
+  const player = playersById.get(id);
+  if (!player) return row;
+  return { ...row, '選手ID': id, '名前': player.name, '現背番号': player.number };
+});
+
+// --- Aggregation ---
+// Per-player totals and rates for a set of rows. keyOf groups the rows (one entry per
+// player by default; pass () => 'team' for team totals).
+
+const aggregateBatting = (rows, keyOf = playerKey) => {
+  const stats = {};
+  rows.forEach(row => {
+    const id = keyOf(row);
+    if (!stats[id]) {
+      stats[id] = {
+        id, name: row['名前'], number: displayNumber(row),
+        games: 0, pa: 0, ab: 0, h: 0, doubles: 0, triples: 0, hr: 0, 
+        rbi: 0, runs: 0, so: 0, bb: 0, hbp: 0, sb: 0, sf: 0, sac: 0,
+        rispAb: 0, rispH: 0, lob: 0, gidp: 0, cs: 0, go: 0, fo: 0
+      };
+    }
+    const s = stats[id];
+    s.games += 1;
+    s.pa += (row['打席数'] || 0);
+    s.ab += (row['打数'] || 0);
+    s.h += (row['安打'] || 0);
+    s.doubles += (row['二塁打'] || 0);
+    s.triples += (row['三塁打'] || 0);
+    s.hr += (row['本塁打'] || 0);
+    s.rbi += (row['打点'] || 0);
+    s.runs += (row['得点'] || 0);
+    s.so += (row['三振'] || 0);
+    s.bb += (row['四球'] || 0);
+    s.hbp += (row['死球'] || 0);
+    s.sb += (row['盗塁'] || 0);
+    s.sf += (row['犠飛'] || 0);
+    s.sac += (row['犠打'] || 0);
+    s.rispAb += (row['圏打数'] || 0);
+    s.rispH += (row['圏安打'] || 0);
+    s.lob += (row['残塁'] || 0);
+    s.gidp += (row['併殺打'] || 0);
+    s.cs += (row['盗塁死'] || 0);
+    s.go += (row['GO'] || 0);
+    s.fo += (row['FO'] || 0);
+  });
+
+  return Object.values(stats).map(s => {
+    const avg = safeDiv(s.h, s.ab);
+    const obp = safeDiv(s.h + s.bb + s.hbp, s.ab + s.bb + s.hbp + s.sf);
+    const singles = s.h - s.doubles - s.triples - s.hr;
+    const totalBases = singles + (s.doubles * 2) + (s.triples * 3) + (s.hr * 4);
+    const slg = safeDiv(totalBases, s.ab);
+    const ops = obp + slg;
+    const bbK = safeDiv(s.bb + s.hbp, s.so);
+    const isoD = obp - avg;
+    // Situational: runners in scoring position, runners left on base, double plays.
+    // No RISP at-bats leaves the RISP rates null so rankings skip the player instead of reading 0.
+    const rispAvg = s.rispAb > 0 ? safeDiv(s.rispH, s.rispAb) : null;
+    const lobPerPA = safeDiv(s.lob, s.pa);
+    const gidpRate = safeDiv(s.gidp, s.pa);
+    // Batted-ball and plate-discipline profile
+    const xbh = s.doubles + s.triples + s.hr;
+    const iso = slg - avg;
+    const babip = safeDiv(s.h - s.hr, s.ab - s.so - s.hr + s.sf);
+    const kRate = safeDiv(s.so, s.pa);
+    const bbRate = safeDiv(s.bb + s.hbp, s.pa);
+    const sbRate = safeDiv(s.sb, s.sb + s.cs);
+    const goFo = safeDiv(s.go, s.fo);
+    const sacRate = safeDiv(s.sac, s.pa);
+    const xbhRate = safeDiv(xbh, s.h);
+
+    return {
+      ...s,
+      avg: Number(avg.toFixed(3)),
+      obp: Number(obp.toFixed(3)), 
+      slg: Number(slg.toFixed(3)), 
+      ops: Number(ops.toFixed(3)), 
+      bbK: Number(bbK.toFixed(2)),
+      isoD: Number(isoD.toFixed(3)),
+      rispAvg: rispAvg === null ? null : Number(rispAvg.toFixed(3)),
+      rispDelta: rispAvg === null ? null : Number((rispAvg - avg).toFixed(3)),
+      lobPerPA: Number(lobPerPA.toFixed(2)),
+      gidpRate: Number(gidpRate.toFixed(3)),
+      xbh,
+      iso: Number(iso.toFixed(3)),
+      babip: Number(babip.toFixed(3)),
+      kRate: Number(kRate.toFixed(3)),
+      bbRate: Number(bbRate.toFixed(3)),
+      sbRate: Number(sbRate.toFixed(3)),
+      goFo: Number(goFo.toFixed(2)),
+      sacRate: Number(sacRate.toFixed(3)),
+      xbhRate: Number(xbhRate.toFixed(3))
+    };
+  });
+};
+
+const aggregatePitching = (rows, ruleSettings, keyOf = playerKey) => {
+  const stats = {};
+  rows.forEach(row => {
+    const id = keyOf(row);
+    if (!stats[id]) {
+      stats[id] = {
+        id, name: row['名前'], number: displayNumber(row),
+        games: 0, outs: 0, regOuts: 0, h: 0, r: 0, er: 0, bb: 0, hbp: 0, so: 0, win: 0, loss: 0, sv: 0,
+        starts: 0, qs: 0, hold: 0, wp: 0, bk: 0, pitches: 0, strikes: 0, bf: 0, ab: 0, hr: 0, go: 0, fo: 0
+      };
+    }
+    const s = stats[id];
+    s.games += 1;
+    s.starts += row['先発'] ? 1 : 0;
+    s.qs += (row['QS'] || 0);
+    s.hold += (row['ホールド'] || 0);
+    s.wp += (row['暴投'] || 0);
+    s.bk += (row['ボーク'] || 0);
+    s.pitches += (row['球数'] || 0);
+    s.strikes += (row['S数'] || 0);
+    s.bf += (row['打者'] || 0);
+    s.ab += (row['打数'] || 0);
+    s.hr += (row['本塁打'] || 0);
+    s.go += (row['GO'] || 0);
+    s.fo += (row['FO'] || 0);
+    s.outs += (row['アウト数'] || 0);
+    s.regOuts += regulationOuts(row, ruleSettings);
+    s.h += (row['安打'] || 0);
+    s.r += (row['失点'] || 0);
+    s.er += (row['自責点'] || 0);
+    s.bb += (row['四球'] || 0);
+    s.hbp += (row['死球'] || 0);
+    s.so += (row['三振'] || 0);
+    s.win += (row['勝数'] || 0);
+    s.loss += (row['負数'] || 0);
+    s.sv += (row['セーブ'] || 0);
+  });
+
+  return Object.values(stats).map(s => {
+    const displayInnings = formatInnings(s.outs);
+    const era = perGameRate(s.er, s.outs, s.regOuts);
+    const whip = safeDiv(s.bb + s.hbp + s.h, s.outs / 3);
+    const kbb = safeDiv(s.so, s.bb);
+    // Efficiency and contact allowed
+    const pitchesPerInning = safeDiv(s.pitches, s.outs / 3);
+    const pitchesPerBatter = safeDiv(s.pitches, s.bf);
+    const strikeRate = safeDiv(s.strikes, s.pitches);
+    const oppAvg = safeDiv(s.h, s.ab);
+    const wpBkPerGame = perGameRate(s.wp + s.bk, s.outs, s.regOuts);
+    const goFo = safeDiv(s.go, s.fo);
+
+    return {
+      ...s,
+      displayInnings, 
+      era: Number(era.toFixed(2)), 
+      whip: Number(whip.toFixed(2)), 
+      kbb: Number(kbb.toFixed(2)),
+      inningsVal: s.outs / 3,
+      pitchesPerInning: Number(pitchesPerInning.toFixed(2)),
+      pitchesPerBatter: Number(pitchesPerBatter.toFixed(2)),
+      strikeRate: Number(strikeRate.toFixed(3)),
+      oppAvg: Number(oppAvg.toFixed(3)),
+      wpBkPerGame: Number(wpBkPerGame.toFixed(2)),
+      goFo: Number(goFo.toFixed(2))
+    };
+  });
+};
+
+// --- Qualification (規定打席 / 規定投球回) ---
+// Thresholds scale with the team games in the current filters: paPerGame plate appearances
+// and ipPerGame innings per game. 0 disables the threshold.
+
+const DEFAULT_QUALIFICATION_SETTINGS = { paPerGame: 2, ipPerGame: 1, includeUnqualified: false };
+
+const UNQUALIFIED_MARK = '※';
+
+// Flag each player as qualified or not; players short of the threshold are dropped unless included
+const applyQualification = (players, isQualified, includeUnqualified) => players
+  .map(p => ({ ...p, qualified: isQualified(p) }))
+  .filter(p => includeUnqualified || p.qualified);
+
+const qualifiedName = (p) => p.qualified === false ? `${p.name}${UNQUALIFIED_MARK}` : p.name;
+
+// --- Small-sample adjustment ---
+// Rate stats as successes / trials. `prior` is how many trials at the team rate are blended in
+// when shrinking: rates that settle slowly (batting average) get more than quick ones (K%).
+const RATE_STATS = {
+  batting: {
+    avg: { num: p => p.h, den: p => p.ab, prior: 30 },
+    obp: { num: p => p.h + p.bb + p.hbp, den: p => p.ab + p.bb + p.hbp + p.sf, prior: 30 },
+    rispAvg: { num: p => p.rispH, den: p => p.rispAb, prior: 30 },
+    babip: { num: p => p.h - p.hr, den: p => p.ab - p.so - p.hr + p.sf, prior: 30 },
+    kRate: { num: p => p.so, den: p => p.pa, prior: 15 },
+    bbRate: { num: p => p.bb + p.hbp, den: p => p.pa, prior: 15 },
+    sbRate: { num: p => p.sb, den: p => p.sb + p.cs, prior: 10 },
+  },
+  pitching: {
+    oppAvg: { num: p => p.h, den: p => p.ab, prior: 30 },
+    strikeRate: { num: p => p.strikes, den: p => p.pitches, prior: 50 },
+  },
+};
+
+// 95% Wilson score interval for a binomial rate
+const wilsonInterval = (successes, trials, z = 1.96) => {
+  if (trials <= 0) return null;
+  const rate = successes / trials;
+  const center = rate + (z * z) / (2 * trials);
+  const margin = z * Math.sqrt((rate * (1 - rate) + (z * z) / (4 * trials)) / trials);
+  const denom = 1 + (z * z) / trials;
+  return { low: Math.max(0, (center - margin) / denom), high: Math.min(1, (center + margin) / denom) };
+};
+
+// Add `adjusted` (each rate shrunk toward the team rate) and `interval` (Wilson) to every player.
+// The team rate is pooled over the players passed in, so it matches the current filters.
+const withAdjustedRates = (players, type) => {
+  const stats = Object.entries(RATE_STATS[type]);
+  const teamRates = Object.fromEntries(stats.map(([metric, s]) => [
+    metric,
+    safeDiv(players.reduce((acc, p) => acc + s.num(p), 0), players.reduce((acc, p) => acc + s.den(p), 0)),
+  ]));
+  return players.map(p => ({
+    ...p,
+    adjusted: Object.fromEntries(stats.map(([metric, s]) => [
+      metric,
+      s.den(p) > 0 ? Number(((s.num(p) + teamRates[metric] * s.prior) / (s.den(p) + s.prior)).toFixed(3)) : null,
+    ])),
+    interval: Object.fromEntries(stats.map(([metric, s]) => [metric, wilsonInterval(s.num(p), s.den(p))])),
+  }));
+};
+
+// Swap a player's rates for the adjusted ones, keeping the originals under `raw`
+const applyAdjustedRates = (player) => ({ ...player, ...player.adjusted, raw: player });
+
+// Radar axes for the head-to-head comparison. Each axis is scored as a percentile within the team.
+const RADAR_AXES = {
+  batting: [
+    { label: 'ミート', value: p => p.avg },
+    { label: 'パワー', value: p => p.iso },
+    { label: '選球眼', value: p => p.bbRate - p.kRate },
+    { label: '走力', value: p => safeDiv(p.sb, p.games) },
+  ],
+  pitching: [
+    { label: '制球', value: p => safeDiv(p.bb + p.hbp, p.bf), ascending: true },
+    { label: '奪三振', value: p => safeDiv(p.so, p.bf) },
+    { label: '被打抑止', value: p => p.oppAvg, ascending: true },
+  ],
+};
+
+// Share of `pool` that `value` beats (ties count half), 0-100
+const percentileScore = (value, pool, ascending) => {
+  if (pool.length === 0) return 0;
+  const beaten = pool.filter(v => ascending ? value < v : value > v).length;
+  const ties = pool.filter(v => v === value).length;
+  return Math.round((beaten + ties / 2) / pool.length * 100);
+};
+
+const COMPARE_COLORS = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b'];
+const MAX_COMPARE_PLAYERS = 4;
+
+// Team (or one player's) totals for each group of rows, e.g. per venue or batting first/second.
+// W-L-T counts the team results of the games in each group.
+const computeSplits = (batting, pitching, games, groupOf, ruleSettings) => {
+  const groups = new Map();
+  const entry = (row) => {
+    const key = groupOf(row);
+    if (!groups.has(key)) groups.set(key, { key, gameIds: new Set(), batting: [], pitching: [] });
+    const group = groups.get(key);
+    group.gameIds.add(row['試合ID']);
+    return group;
+  };
+  batting.forEach(row => entry(row).batting.push(row));
+  pitching.forEach(row => entry(row).pitching.push(row));
+
+  const gamesById = new Map(games.map(g => [g.id, g]));
+  return Array.from(groups.values()).map(group => {
+    const groupGames = Array.from(group.gameIds).map(id => gamesById.get(id)).filter(Boolean);
+    return {
+      key: group.key,
+      games: groupGames.length,
+      wins: groupGames.filter(g => g.result === 'W').length,
+      losses: groupGames.filter(g => g.result === 'L').length,
+      ties: groupGames.filter(g => g.result === 'T').length,
+      batting: aggregateBatting(group.batting, () => 'split')[0] || null,
+      pitching: aggregatePitching(group.pitching, ruleSettings, () => 'split')[0] || null,
+    };
+  }).sort((a, b) => b.games - a.games);
+};
+
+// 'starter' for rows with 先発 set, otherwise 'reliever'
+const getPitchingRole = (row) => row['先発'] ? 'starter' : 'reliever';
+
+const PITCHING_ROLE_LABELS = { all: '全登板', starter: '先発', reliever: '救援' };
+
+// --- Pitcher workload ---
+// workloadSettings = { dailyLimit, weeklyLimit, weekendLimit, restTiers: [{ minPitches, days }] }
+// Limits of 0 are not checked. restTiers: days of rest required after an outing of at least minPitches.
+
+const DEFAULT_WORKLOAD_SETTINGS = {
+  dailyLimit: 70,
+  weeklyLimit: 300,
+  weekendLimit: 0,
+  restTiers: [
+    { minPitches: 21, days: 1 },
+    { minPitches: 36, days: 2 },
+    { minPitches: 51, days: 3 },
+    { minPitches: 66, days: 4 },
+  ],
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Local date -> "2025-06-01"
+const toDateKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+const daysBetween = (from, to) => Math.round((parseDate(to) - parseDate(from)) / DAY_MS);
+
+const requiredRestDays = (pitches, restTiers) => restTiers
+  .filter(t => pitches >= t.minPitches)
+  .reduce((days, t) => Math.max(days, t.days), 0);
+
+// Per pitcher: daily pitch counts, 7-day / weekend totals and availability on asOf ("YYYY-MM-DD").
+// Outings after asOf are ignored so past game days can be reviewed.
+const buildWorkload = (rows, asOf, settings) => {
+  const pitchers = new Map();
+  rows.forEach(row => {
+    const d = parseDate(row['日付']);
+    if (isNaN(d.getTime()) || d.getTime() === 0) return;
+    const id = playerKey(row);
+    if (!pitchers.has(id)) pitchers.set(id, { id, name: row['名前'], number: displayNumber(row), daily: {} });
+    const dateKey = toDateKey(d);
+    const daily = pitchers.get(id).daily;
+    daily[dateKey] = (daily[dateKey] || 0) + (row['球数'] || 0);
+  });
+
+  const asOfDate = parseDate(asOf);
+  // Most recent Saturday-Sunday on or before asOf
+  const sunday = new Date(asOfDate.getTime() - (asOfDate.getDay() === 0 ? 0 : asOfDate.getDay() === 6 ? -1 : asOfDate.getDay()) * DAY_MS);
+  const weekend = [toDateKey(new Date(sunday.getTime() - DAY_MS)), toDateKey(sunday)];
+  const isPast = (dateKey) => dateKey <= asOf;
+
+  return Array.from(pitchers.values()).map(p => {
+    const dates = Object.keys(p.daily).filter(isPast).sort();
+    const sumSince = (from) => dates.filter(dk => daysBetween(dk, asOf) <= from).reduce((acc, dk) => acc + p.daily[dk], 0);
+    const lastDate = dates[dates.length - 1] || null;
+    const lastPitches = lastDate ? p.daily[lastDate] : 0;
+    const daysSince = lastDate ? daysBetween(lastDate, asOf) : null;
+    const todayPitches = p.daily[asOf] || 0;
+    const weekTotal = sumSince(6);
+    const weekendTotal = weekend.filter(isPast).reduce((acc, dk) => acc + (p.daily[dk] || 0), 0);
+
+    // The outing before today decides the rest requirement; pitches already thrown today count against today's limit
+    const previousDate = dates.filter(dk => dk < asOf).pop();
+    const restNeeded = previousDate ? requiredRestDays(p.daily[previousDate], settings.restTiers) : 0;
+    const restTaken = previousDate ? daysBetween(previousDate, asOf) - 1 : null;
+    const restUntil = previousDate && restTaken < restNeeded ? toDateKey(new Date(parseDate(previousDate).getTime() + (restNeeded + 1) * DAY_MS)) : null;
+
+    const remaining = [
+      settings.dailyLimit > 0 ? settings.dailyLimit - todayPitches : Infinity,
+      settings.weeklyLimit > 0 ? settings.weeklyLimit - weekTotal : Infinity,
+      settings.weekendLimit > 0 && weekend.includes(asOf) ? settings.weekendLimit - weekendTotal : Infinity,
+    ].reduce((a, b) => Math.min(a, b));
+
+    let status = 'available';
+    if (restUntil || remaining <= 0) status = 'rest';
+    else if (remaining < settings.dailyLimit) status = 'limited';
+
+    return {
+      ...p, lastDate, lastPitches, daysSince, todayPitches, weekTotal, weekendTotal,
+      restNeeded, restTaken, restUntil, remaining: Math.max(remaining, 0), status,
+    };
+  }).sort((a, b) => (b.lastDate || '').localeCompare(a.lastDate || ''));
+};
+
+// Every day (or rolling week / weekend) in the history that went over a configured limit
+const workloadAlerts = (workload, settings) => {
+  const alerts = [];
+  workload.forEach(p => {
+    const dates = Object.keys(p.daily).sort();
+    dates.forEach(dk => {
+      if (settings.dailyLimit > 0 && p.daily[dk] > settings.dailyLimit) {
+        alerts.push({ date: dk, name: p.name, message: `1日の球数 ${p.daily[dk]}球（上限 ${settings.dailyLimit}球）` });
+      }
+      const week = dates.filter(other => other <= dk && daysBetween(other, dk) <= 6).reduce((acc, other) => acc + p.daily[other], 0);
+      if (settings.weeklyLimit > 0 && week > settings.weeklyLimit) {
+        alerts.push({ date: dk, name: p.name, message: `直近7日間の球数 ${week}球（上限 ${settings.weeklyLimit}球）` });
+      }
+      // Checked once per weekend: on Sunday, or on Saturday when there was no Sunday outing
+      const day = parseDate(dk).getDay();
+      const sunday = day === 6 ? toDateKey(new Date(parseDate(dk).getTime() + DAY_MS)) : dk;
+      if (settings.weekendLimit > 0 && (day === 0 || (day === 6 && p.daily[sunday] === undefined))) {
+        const saturday = toDateKey(new Date(parseDate(sunday).getTime() - DAY_MS));
+        const weekendTotal = (p.daily[saturday] || 0) + (p.daily[sunday] || 0);
+        if (weekendTotal > settings.weekendLimit) {
+          alerts.push({ date: dk, name: p.name, message: `土日の球数 ${weekendTotal}球（上限 ${settings.weekendLimit}球）` });
+        }
+      }
+    });
+  });
+  return alerts.sort((a, b) => b.date.localeCompare(a.date));
+};
+
+// --- Trends ---
+
+// Period bucket of a row: the game date, the date plus 試合ID ("2025-06-01 #12"), "2025-06" or "2025-Q2"
+const trendPeriodKey = (row, period) => {
+  const d = parseDate(row['日付']);
+  if (isNaN(d.getTime())) return null;
+  const year = d.getFullYear();
+  const month = d.getMonth();
+
+  switch (period) {
+    case 'game':
+      // Zero-padded so "2025-10-5" sorts after "2025-6-1"
+      return toDateKey(d);
+    case 'gameId':
+      // One bucket per game, so a doubleheader gives two points; padded so games on a date sort by ID
+      return `${toDateKey(d)} #${String(row['試合ID']).padStart(4, '0')}`;
+    case 'quarterly':
+      return `${year}-Q${Math.floor(month / 3) + 1}`;
+    case 'monthly':
+    default:
+      return `${year}-${(month + 1).toString().padStart(2, '0')}`;
+  }
+};
+
+// Cumulative batting rates for one player's rows, one point per period ('game', 'gameId', 'monthly' or 'quarterly')
+const cumulativeBattingTrend = (rows, period, teamSettings) => {
+
+  const grouped = {};
+  rows.forEach(row => {
+      const key = trendPeriodKey(row, period);
+      if (!key) return;
+      if (!grouped[key]) grouped[key] = [];
+      grouped[key].push(row);
+  });
+
+  const sortedKeys = Object.keys(grouped).sort();
+
+  let cumulative = { pa: 0, ab: 0, h: 0, bb: 0, hbp: 0, sf: 0, doubles: 0, triples: 0, hr: 0, rbi: 0, sb: 0, so: 0, rispAb: 0, rispH: 0, lob: 0, gidp: 0 };
+  
+  return sortedKeys.map(key => {
+      const periodRows = grouped[key];
+      const periodStats = periodRows.reduce((acc, row) => {
+          acc.ab += (row['打数'] || 0);
+          acc.h += (row['安打'] || 0);
+          acc.bb += (row['四球'] || 0);
+          acc.hbp += (row['死球'] || 0);
+          acc.sf += (row['犠飛'] || 0);
+          acc.doubles += (row['二塁打'] || 0);
+          acc.triples += (row['三塁打'] || 0);
+          acc.hr += (row['本塁打'] || 0);
+          acc.so += (row['三振'] || 0);
+          acc.rbi += (row['打点'] || 0);
+          acc.pa += (row['打席数'] || 0);
+          acc.rispAb += (row['圏打数'] || 0);
+          acc.rispH += (row['圏安打'] || 0);
+          acc.lob += (row['残塁'] || 0);
+          acc.gidp += (row['併殺打'] || 0);
+          return acc;
+      }, { pa: 0, ab: 0, h: 0, bb: 0, hbp: 0, sf: 0, doubles: 0, triples: 0, hr: 0, rbi: 0, so: 0, rispAb: 0, rispH: 0, lob: 0, gidp: 0 });
+
+      Object.keys(periodStats).forEach(statKey => {
+          cumulative[statKey] += periodStats[statKey];
+      });
+
+      const avg = safeDiv(cumulative.h, cumulative.ab);
+      const obp = safeDiv(cumulative.h + cumulative.bb + cumulative.hbp, cumulative.ab + cumulative.bb + cumulative.hbp + cumulative.sf);
+      const singles = cumulative.h - cumulative.doubles - cumulative.triples - cumulative.hr;
+      const tb = singles + cumulative.doubles*2 + cumulative.triples*3 + cumulative.hr*4;
+      const pa = cumulative.ab + cumulative.bb + cumulative.hbp + cumulative.sf;
+      const soRate = safeDiv(cumulative.so, pa) * 100;
+      const bbRate = safeDiv(cumulative.bb + cumulative.hbp, pa) * 100;
+      const slg = safeDiv(tb, cumulative.ab);
+      const rispAvg = safeDiv(cumulative.rispH, cumulative.rispAb);
+      const lobPerPA = safeDiv(cumulative.lob, cumulative.pa);
+      const gidpRate = safeDiv(cumulative.gidp, cumulative.pa);
+
+      let opponent = '';
+      if ((period === 'game' || period === 'gameId') && periodRows.length > 0) {
+          opponent = getOpponent(periodRows[0], teamSettings);
+      }
+
+      return {
+          periodKey: key,
+          opponent: opponent,
+          avg: Number(avg.toFixed(3)),
+          ops: Number((obp + slg).toFixed(3)),
+          slg: Number(slg.toFixed(3)),
+          obp: Number(obp.toFixed(3)),
+          bbRate: Number(bbRate.toFixed(1)),
+          soRate: Number(soRate.toFixed(1)),
+          rispAvg: Number(rispAvg.toFixed(3)),
+          lobPerPA: Number(lobPerPA.toFixed(2)),
+          gidpRate: Number(gidpRate.toFixed(3)),
+          ...periodStats
+      };
+  });
+};
+
+// Cumulative pitching rates for one player's rows, one point per period
+const cumulativePitchingTrend = (rows, period, teamSettings, ruleSettings) => {
+
+  const grouped = {};
+  rows.forEach(row => {
+      const key = trendPeriodKey(row, period);
+      if (!key) return;
+      if (!grouped[key]) grouped[key] = [];
+      grouped[key].push(row);
+  });
+
+  const sortedKeys = Object.keys(grouped).sort();
+
+  let cumulative = { outs: 0, regOuts: 0, er: 0, bb: 0, hbp: 0, h: 0, so: 0 };
+  
+  return sortedKeys.map(key => {
+      const periodRows = grouped[key];
+      const periodStats = periodRows.reduce((acc, row) => {
+          acc.outs += (row['アウト数'] || 0);
+          acc.regOuts += regulationOuts(row, ruleSettings);
+          acc.er += (row['自責点'] || 0);
+          acc.bb += (row['四球'] || 0);
+          acc.hbp += (row['死球'] || 0);
+          acc.h += (row['安打'] || 0);
+          acc.so += (row['三振'] || 0);
+          acc.pitches += (row['球数'] || 0);
+          acc.strikes += (row['S数'] || 0);
+          return acc;
+      }, { outs: 0, regOuts: 0, er: 0, bb: 0, hbp: 0, h: 0, so: 0, pitches: 0, strikes: 0 });
+
+      Object.keys(cumulative).forEach(statKey => {
+          cumulative[statKey] += periodStats[statKey];
+      });
+
+      const era = perGameRate(cumulative.er, cumulative.outs, cumulative.regOuts);
+      const whip = safeDiv(cumulative.bb + cumulative.hbp + cumulative.h, cumulative.outs / 3);
+      const kbb = safeDiv(cumulative.so, cumulative.bb);
+      const kPerGame = perGameRate(cumulative.so, cumulative.outs, cumulative.regOuts);
+      const bbPerGame = perGameRate(cumulative.bb + cumulative.hbp, cumulative.outs, cumulative.regOuts);
+
+      const innings = periodStats.outs / 3;
+      const strikeRate = safeDiv(periodStats.strikes, periodStats.pitches) * 100;
+      
+      let opponent = '';
+      if ((period === 'game' || period === 'gameId') && periodRows.length > 0) {
+          opponent = getOpponent(periodRows[0], teamSettings);
+      }
+
+      return {
+          periodKey: key,
+          opponent: opponent,
+          era: Number(era.toFixed(2)),
+          whip: Number(whip.toFixed(2)),
+          kbb: Number(kbb.toFixed(2)),
+          innings: Number(innings.toFixed(1)),
+          kPerGame: Number(kPerGame.toFixed(2)),
+          bbPerGame: Number(bbPerGame.toFixed(2)),
+          strikeRate: Number(strikeRate.toFixed(1)),
+          bb: periodStats.bb,
+          hbp: periodStats.hbp,
+          pitches: periodStats.pitches
+      };
+  });
+};
+
+// Attach a `rolling` point to each game of a cumulative 'gameId' trend: the same rates computed
+// over only the last `size` games, so a slump or hot streak shows against the running line.
+const withRollingTrend = (rows, size, trendOf) => {
+  const trend = trendOf(rows);
+  const keys = trend.map(point => point.periodKey);
+  return trend.map((point, i) => {
+    const windowKeys = new Set(keys.slice(Math.max(0, i - size + 1), i + 1));
+    const windowTrend = trendOf(rows.filter(row => windowKeys.has(trendPeriodKey(row, 'gameId'))));
+    return { ...point, rolling: windowTrend[windowTrend.length - 1] };
+  });
+};
+
+// One entry per game for a player's rows ('batting' or 'pitching'), in date order, carrying
+// the season-to-date rates as they stood after that game. Seasons restart each calendar year.
+const buildGameLog = (rows, type, teamSettings, ruleSettings) => {
+  const sorted = [...rows].sort((a, b) => parseDate(a['日付']) - parseDate(b['日付']));
+  const seasons = new Map();
+  return sorted.map((row, order) => {
+    const season = parseDate(row['日付']).getFullYear();
+    if (!seasons.has(season)) seasons.set(season, []);
+    const seasonRows = seasons.get(season);
+    seasonRows.push(row);
+    const entry = { row, order, gameId: row['試合ID'], opponent: getOpponent(row, teamSettings), title: row['タイトル'] || '' };
+    if (type === 'batting') {
+      const s = aggregateBatting(seasonRows, () => 'season')[0];
+      return { ...entry, seasonAvg: s.avg, seasonOps: s.ops, highlight: (row['安打'] || 0) >= 2 };
+    }
+    const s = aggregatePitching(seasonRows, ruleSettings, () => 'season')[0];
+    // A clean outing records at least one out without allowing a run
+    return { ...entry, seasonEra: s.era, seasonWhip: s.whip, highlight: (row['アウト数'] || 0) > 0 && !row['失点'] };
+  });
+};
+
+// --- Persistence (IndexedDB) ---
+// Each dataset (e.g. "2025年度", "B軍のみ") is one record: { id, name, batting, pitching, updatedAt }.
+
+const DB_NAME = 'ants_dashboard';
+const DB_VERSION = 1;
+const DATASET_STORE = 'datasets';
+const ACTIVE_DATASET_KEY = 'bb_active_dataset';
+const LEGACY_KEYS = { batting: 'bb_stats_batting', pitching: 'bb_stats_pitching', date: 'bb_stats_date' };
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDB = () => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(DATASET_STORE)) {
+      db.createObjectStore(DATASET_STORE, { keyPath: 'id' });
+    }
+  };
+  return requestToPromise(request);
+};
+
+const withStore = async (mode, fn) => {
+  const db = await openDB();
+  try {
+    const tx = db.transaction(DATASET_STORE, mode);
+    const result = await requestToPromise(fn(tx.objectStore(DATASET_STORE)));
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    return result;
+  } finally {
+    db.close();
+  }
+};
+
+const listDatasets = async () => {
+  const all = await withStore('readonly', store => store.getAll());
+  return all
+    .map(({ id, name, updatedAt }) => ({ id, name, updatedAt }))
+    .sort((a, b) => a.name.localeCompare(b.name, 'ja'));
+};
+
+const loadDataset = (id) => withStore('readonly', store => store.get(id));
+const saveDataset = (dataset) => withStore('readwrite', store => store.put(dataset));
+const deleteDataset = (id) => withStore('readwrite', store => store.delete(id));
+
+const newDatasetId = () => `ds-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+// One-time move of the old single-blob localStorage data into its own dataset.
+const migrateLegacyStorage = async () => {
+  const savedBatting = localStorage.getItem(LEGACY_KEYS.batting);
+  if (!savedBatting) return null;
+  const dataset = {
+    id: newDatasetId(),
+    name: '既定のデータ',
+    batting: JSON.parse(savedBatting),
+    pitching: JSON.parse(localStorage.getItem(LEGACY_KEYS.pitching) || '[]'),
+    updatedAt: localStorage.getItem(LEGACY_KEYS.date),
+  };
+  await saveDataset(dataset);
+  Object.values(LEGACY_KEYS).forEach(key => localStorage.removeItem(key));
+  return dataset.id;
+};
+
+// User settings (filters etc.) live in one localStorage object so backups can carry them as-is.
+const SETTINGS_KEY = 'bb_settings';
+
+const loadSettings = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+};
+
+const updateSettings = (patch) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify({ ...loadSettings(), ...patch }));
+};
+
+// --- Backup file ---
+// v1: single dataset { version, batting, pitching, lastUpdated, settings } (the localStorage-era layout)
+// v2: { version, datasets: [{ id, name, batting, pitching, updatedAt }], activeDatasetId, settings }
+
+const BACKUP_FORMAT = 'ants-dashboard-backup';
+const BACKUP_VERSION = 2;
+
+const BACKUP_MIGRATIONS = {
+  1: (backup) => {
+    const id = newDatasetId();
+    return {
+      format: BACKUP_FORMAT,
+      version: 2,
+      exportedAt: backup.exportedAt,
+      activeDatasetId: id,
+      datasets: [{ id, name: '既定のデータ', batting: backup.batting || [], pitching: backup.pitching || [], updatedAt: backup.lastUpdated || null }],
+      settings: backup.settings || {},
+    };
+  },
+};
+
+const createBackup = async (activeDatasetId) => {
+  const datasets = await withStore('readonly', store => store.getAll());
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    activeDatasetId,
+    datasets,
+    settings: loadSettings(),
+  };
+};
+
+// Validate a parsed backup file and bring it up to the current version.
+const migrateBackup = (backup) => {
+  if (!backup || backup.format !== BACKUP_FORMAT || typeof backup.version !== 'number') {
+    throw new Error('バックアップファイルの形式が正しくありません');
+  }
+  if (backup.version > BACKUP_VERSION) {
+    throw new Error(`このバックアップ (v${backup.version}) は新しいバージョンのアプリで作成されています`);
+  }
+  let migrated = backup;
+  while (migrated.version < BACKUP_VERSION) {
+    const migrate = BACKUP_MIGRATIONS[migrated.version];
+    if (!migrate) throw new Error(`v${migrated.version} のバックアップには対応していません`);
+    migrated = migrate(migrated);
+  }
+  if (!Array.isArray(migrated.datasets) || migrated.datasets.length === 0) {
+    throw new Error('バックアップにデータセットが含まれていません');
+  }
+  return migrated;
+};
+
+// Replace every dataset and the settings with the backup's contents.
+// The clear and the puts share one transaction so a failed write leaves the old datasets in place;
+// settings are only touched once it has committed.
+const restoreBackup = async (backup) => {
+  await withStore('readwrite', store => {
+    let request = store.clear();
+    backup.datasets.forEach(dataset => {
+      request = store.put({ batting: [], pitching: [], updatedAt: null, ...dataset });
+    });
+    return request;
+  });
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(backup.settings || {}));
+  if (backup.activeDatasetId) localStorage.setItem(ACTIVE_DATASET_KEY, backup.activeDatasetId);
+};
+
+// Box score columns on the game page
+const GAME_BATTING_COLUMNS = ['打席数', '打数', '得点', '安打', '二塁打', '三塁打', '本塁打', '打点', '四球', '死球', '三振', '盗塁', '犠打', '犠飛', '併殺打', '残塁'];
+const GAME_PITCHING_COLUMNS = ['球数', 'S数', '打者', '安打', '本塁打', '四球', '死球', '三振', '失点', '自責点'];
+
+const RESULT_LABELS = { W: { text: '勝', className: 'bg-red-100 text-red-700' }, L: { text: '敗', className: 'bg-blue-100 text-blue-700' }, T: { text: '分', className: 'bg-gray-100 text-gray-600' } };
+
 // --- Components ---
 
 const Card = ({ children, className = "" }) => (
   <div className={`bg-white rounded-xl shadow-md p-4 ${className}`}>{children}</div>
 );
 
+const ResultBadge = ({ result }) => (
+  <span className={`inline-block px-2 py-0.5 rounded text-xs font-bold ${RESULT_LABELS[result].className}`}>{RESULT_LABELS[result].text}</span>
+);
+
 const StatCard = ({ title, value, subValue, icon: Icon, color = "blue" }) => (
   <Card className={`flex items-center space-x-4 border-l-4 border-primary-500`}>
     <div className={`p-3 rounded-full bg-${color}-100 text-${color}-600`}>
@@ -93,127 +1542,172 @@ const StatCard = ({ title, value, subValue, icon: Icon, color = "blue" }) => (
 );
 
 export default function App() {
-  const [activeTab, setActiveTab] = useState('dashboard');
+  const [activeTab, setActiveTab] = useState(() => hashParam('game') ? 'game' : hashParam('player') ? 'player' : 'dashboard');
+  const [selectedGameId, setSelectedGameId] = useState(() => hashParam('game'));
+  const [profilePlayerId, setProfilePlayerId] = useState(() => hashParam('player'));
+  const [gameListMode, setGameListMode] = useState('games'); // 'games', 'opponents' or 'splits'
+  const [expandedOpponent, setExpandedOpponent] = useState(null);
+  const [splitsPlayerId, setSplitsPlayerId] = useState(''); // '' = team
+  const [splitsKey, setSplitsKey] = useState('venue'); // 'venue' or 'side'
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const [battingData, setBattingData] = useState([]);
   const [pitchingData, setPitchingData] = useState([]);
   const [lastUpdated, setLastUpdated] = useState(null);
   const [importStatus, setImportStatus] = useState("");
+  const [importReport, setImportReport] = useState([]);
+  const [importMode, setImportMode] = useState('merge'); // 'merge' or 'replace'
+  const [pendingImport, setPendingImport] = useState(null);
+  const [datasets, setDatasets] = useState([]);
+  const [activeDatasetId, setActiveDatasetId] = useState(null);
+  const [isSampleData, setIsSampleData] = useState(false);
+  const [isDragging, setIsDragging] = useState(false);
+  const [pendingMapping, setPendingMapping] = useState(null);
+  const [columnMappings, setColumnMappings] = useState(() => loadSettings().columnMappings || []);
+  const [rosters, setRosters] = useState(() => loadSettings().rosters || {});
+  const [teamSettings, setTeamSettings] = useState(() => ({ ...DEFAULT_TEAM_SETTINGS, ...loadSettings().team }));
+  const [ruleSettings, setRuleSettings] = useState(() => ({ ...DEFAULT_RULE_SETTINGS, ...loadSettings().rules }));
+  const [workloadSettings, setWorkloadSettings] = useState(() => ({ ...DEFAULT_WORKLOAD_SETTINGS, ...loadSettings().workload }));
+  const [workloadDate, setWorkloadDate] = useState(() => toDateKey(new Date()));
+  const [qualificationSettings, setQualificationSettings] = useState(() => ({ ...DEFAULT_QUALIFICATION_SETTINGS, ...loadSettings().qualification }));
+
+  useEffect(() => { updateSettings({ columnMappings }) }, [columnMappings]);
+  useEffect(() => { updateSettings({ rosters }) }, [rosters]);
+  useEffect(() => { updateSettings({ team: teamSettings }) }, [teamSettings]);
+  useEffect(() => { updateSettings({ rules: ruleSettings }) }, [ruleSettings]);
+  useEffect(() => { updateSettings({ workload: workloadSettings }) }, [workloadSettings]);
+  useEffect(() => { updateSettings({ qualification: qualificationSettings }) }, [qualificationSettings]);
 
   // Home view state
   const [showHomeScatterLabels, setShowHomeScatterLabels] = useState(false);
 
   // Filter State
-  const [activeFilters, setActiveFilters] = useState({
+  const [activeFilters, setActiveFilters] = useState(() => ({
     startDate: '2025-10-01',
     endDate: '',
-    teamKeyword: '', 
+    squad: 'all', 
     category: 'all', 
-  });
+    ...loadSettings().filters,
+  }));
   const [draftFilters, setDraftFilters] = useState(activeFilters);
 
   useEffect(() => { setDraftFilters({...activeFilters}) }, [activeFilters]);
+  useEffect(() => { updateSettings({ filters: activeFilters }) }, [activeFilters]);
 
   // Trends/Analysis State
   const [trendTarget, setTrendTarget] = useState('team'); 
   const [trendType, setTrendType] = useState('batting'); 
   const [selectedPlayerId, setSelectedPlayerId] = useState('');
   const [trendPeriod, setTrendPeriod] = useState('monthly');
+  const [rollingWindow, setRollingWindow] = useState(5);
 
   // Comparison State
   const [comparisonMetric, setComparisonMetric] = useState('avg');
-  const [comparisonMinPA, setComparisonMinPA] = useState(0); // Minimum PA/Innings
   const [comparisonChartType, setComparisonChartType] = useState('ranking'); // 'ranking' or 'scatter'
   const [scatterX, setScatterX] = useState('obp');
   const [scatterY, setScatterY] = useState('slg');
   const [showScatterLabels, setShowScatterLabels] = useState(false);
   const [comparisonDataType, setComparisonDataType] = useState('batting');
+  const [pitchingRole, setPitchingRole] = useState('all'); // 'all', 'starter' or 'reliever'
   const [showAllInRankings, setShowAllInRankings] = useState(false);
+  const [comparePlayerIds, setComparePlayerIds] = useState([]);
+  const [showAdjusted, setShowAdjusted] = useState(false);
+
+  // Player identity: merged IDs, display names and jersey-number history
+  const roster = useMemo(() => ({ ...EMPTY_ROSTER, ...rosters[activeDatasetId] }), [rosters, activeDatasetId]);
+  const setRoster = (next) => setRosters({ ...rosters, [activeDatasetId]: next });
+  const rosterPlayers = useMemo(() => buildRoster(battingData, pitchingData, roster), [battingData, pitchingData, roster]);
+  const resolvedBattingData = useMemo(() => {
+    const playersById = new Map(rosterPlayers.map(p => [p.id, p]));
+    return resolvePlayerRows(battingData, roster, playersById);
+  }, [battingData, roster, rosterPlayers]);
+  const resolvedPitchingData = useMemo(() => {
+    const playersById = new Map(rosterPlayers.map(p => [p.id, p]));
+    return resolvePlayerRows(pitchingData, roster, playersById);
+  }, [pitchingData, roster, rosterPlayers]);
+
+  // Rows from every other dataset, loaded while the player page is open for the career table
+  const [otherDatasets, setOtherDatasets] = useState([]);
+  useEffect(() => {
+    if (activeTab !== 'player') return;
+    let cancelled = false;
+    const load = async () => {
+      try {
+        const others = await Promise.all(datasets.filter(d => d.id !== activeDatasetId).map(d => loadDataset(d.id)));
+        if (!cancelled) setOtherDatasets(others.filter(Boolean));
+      } catch (error) {
+        console.error("Error loading datasets:", error);
+        if (!cancelled) setOtherDatasets([]);
+      }
+    };
+    load();
+    return () => { cancelled = true; };
+  }, [activeTab, datasets, activeDatasetId]);
+
+  // Current rows plus the other datasets' rows, mapped through their own roster and then the
+  // current one so a player keeps one key across seasons. A game that appears in several
+  // datasets counts once.
+  const careerData = useMemo(() => {
+    const collect = (currentRows, type) => {
+      const seen = new Set(currentRows.map(rowKey));
+      const rows = [...currentRows];
+      otherDatasets.forEach(dataset => {
+        const ownAliases = (rosters[dataset.id] || EMPTY_ROSTER).aliases || {};
+        (dataset[type] || []).forEach(row => {
+          const id = resolvePlayerKey(resolvePlayerKey(playerKey(row), ownAliases), roster.aliases);
+          const resolved = { ...row, '選手ID': id };
+          if (seen.has(rowKey(resolved))) return;
+          seen.add(rowKey(resolved));
+          rows.push(resolved);
+        });
+      });
+      return rows;
+    };
+    return { batting: collect(resolvedBattingData, 'batting'), pitching: collect(resolvedPitchingData, 'pitching') };
+  }, [resolvedBattingData, resolvedPitchingData, otherDatasets, rosters, roster]);
 
   // Categories & Players List
   const { categories, playerList } = useMemo(() => {
     const cats = new Set();
-    const players = new Map();
-
     battingData.forEach(row => {
         if (row['タイトル']) cats.add(row['タイトル']);
-        const pid = row['選手ID'] || row['名前'];
-        if (!players.has(pid)) {
-            players.set(pid, { id: pid, name: row['名前'], number: row['背番号'] });
-        }
-    });
-
-    pitchingData.forEach(row => {
-        const pid = row['選手ID'] || row['名前'];
-        if (!players.has(pid)) {
-            players.set(pid, { id: pid, name: row['名前'], number: row['背番号'] });
-        }
-    });
-    
-    const sortedPlayers = Array.from(players.values()).sort((a, b) => {
-        const numA = parseInt(a.number) || 999;
-        const numB = parseInt(b.number) || 999;
-        return numA - numB;
     });
 
     return { 
         categories: Array.from(cats).sort(),
-        playerList: sortedPlayers
+        playerList: rosterPlayers.map(p => ({ id: p.id, name: p.name, number: p.number }))
     };
-  }, [battingData, pitchingData]);
+  }, [battingData, rosterPlayers]);
 
   useEffect(() => {
-    if (playerList.length > 0 && !selectedPlayerId) {
+    if (playerList.length > 0 && !playerList.some(p => p.id === selectedPlayerId)) {
         setSelectedPlayerId(playerList[0].id);
     }
   }, [playerList]);
 
-  const battingMetricOptions = useMemo(() => [
-      { v: 'avg', l: '打率' }, { v: 'ops', l: 'OPS' }, { v: 'hr', l: '本塁打' },
-      { v: 'rbi', l: '打点' }, { v: 'sb', l: '盗塁' }, { v: 'obp', l: '出塁率' },
-      { v: 'slg', l: '長打率' }, { v: 'bb', l: '四球' }, { v: 'so', l: '三振' }
-  ], []);
-  const pitchingMetricOptions = useMemo(() => [
-      { v: 'era', l: '防御率' }, { v: 'whip', l: 'WHIP' }, { v: 'kbb', l: 'K/BB' },
-      { v: 'so', l: '奪三振' }, { v: 'win', l: '勝利数' }, { v: 'displayInnings', l: '投球回' }
-  ], []);
-
-  useEffect(() => {
-    // Reset scatter metrics when switching between batting/pitching analysis
-    if (comparisonDataType === 'batting') {
-        setScatterX('obp');
-        setScatterY('slg');
-    } else {
-        setScatterX('era');
-        setScatterY('whip');
-    }
-  }, [comparisonDataType]);
-
-  useEffect(() => {
-    const currentOptions = comparisonDataType === 'batting' ? battingMetricOptions : pitchingMetricOptions;
-    if (!currentOptions.some(o => o.v === comparisonMetric)) {
-        if (comparisonDataType === 'batting') {
-            setComparisonMetric('avg');
-        } else { // pitching
-            setComparisonMetric('era');
-        }
-    }
-  }, [comparisonDataType, comparisonMetric, battingMetricOptions, pitchingMetricOptions]);
-
   // Load data & Initialize Default Data
+  // Guarded so StrictMode's second effect run can't migrate or create the default dataset twice.
+  const initStarted = useRef(false);
   useEffect(() => {
-    const savedBatting = localStorage.getItem('bb_stats_batting');
-    const savedPitching = localStorage.getItem('bb_stats_pitching');
-    const savedDate = localStorage.getItem('bb_stats_date');
-
-    if (savedBatting && JSON.parse(savedBatting).length > 0) {
-      setBattingData(JSON.parse(savedBatting));
-      if (savedPitching) setPitchingData(JSON.parse(savedPitching));
-      if (savedDate) setLastUpdated(savedDate);
-    } else {
-      // Load Default Data if empty
-      loadDefaultData();
-    }
+    if (initStarted.current) return;
+    initStarted.current = true;
+    const init = async () => {
+      try {
+        const migratedId = await migrateLegacyStorage();
+        let list = await listDatasets();
+        if (list.length === 0) {
+          await saveDataset({ id: newDatasetId(), name: '既定のデータ', batting: [], pitching: [], updatedAt: null });
+          list = await listDatasets();
+        }
+        const savedId = migratedId || localStorage.getItem(ACTIVE_DATASET_KEY);
+        setDatasets(list);
+        await switchDataset(list.some(d => d.id === savedId) ? savedId : list[0].id);
+      } catch (error) {
+        console.error("Error opening IndexedDB:", error);
+        setImportStatus("データベースを開けませんでした。サンプルデータを表示します。");
+        loadDefaultData();
+      }
+    };
+    init();
   }, []);
 
   const loadDefaultData = async () => {
@@ -223,8 +1717,9 @@ export default function App() {
         fetch(DEFAULT_PITCHING_CSV_URL)
       ]);
       const [battingText, pitchingText] = await Promise.all([battingRes.text(), pitchingRes.text()]);
-      setBattingData(parseCSV(battingText));
-      setPitchingData(parseCSV(pitchingText));
+      setBattingData(parseCSV(battingText).rows);
+      setPitchingData(parseCSV(pitchingText).rows);
+      setIsSampleData(true);
       const now = new Date().toLocaleString('ja-JP');
       setLastUpdated(now + " (サンプル)");
     } catch (error) {
@@ -233,64 +1728,514 @@ export default function App() {
     }
   };
 
+  const switchDataset = async (id) => {
+    let dataset;
+    try {
+      dataset = await loadDataset(id);
+    } catch (error) {
+      console.error("Error loading dataset:", error);
+      setImportStatus("データセットの読み込みに失敗しました。");
+      return;
+    }
+    if (!dataset) return;
+    setActiveDatasetId(id);
+    localStorage.setItem(ACTIVE_DATASET_KEY, id);
+    setPendingImport(null);
+    setImportReport([]);
+    if (dataset.batting.length > 0 || dataset.pitching.length > 0) {
+      setBattingData(dataset.batting);
+      setPitchingData(dataset.pitching);
+      setIsSampleData(false);
+      setLastUpdated(dataset.updatedAt);
+    } else {
+      // Empty dataset: show the sample data until something is imported
+      loadDefaultData();
+    }
+  };
+
   // --- Handlers ---
 
-  const handleFileUpload = async (event) => {
+  const saveData = async (newBatting, newPitching) => {
+    setBattingData(newBatting);
+    setPitchingData(newPitching);
+    setIsSampleData(false);
+
+    const now = new Date().toLocaleString('ja-JP');
+    setLastUpdated(now);
+    try {
+      const dataset = await loadDataset(activeDatasetId);
+      await saveDataset({ ...dataset, batting: newBatting, pitching: newPitching, updatedAt: now });
+      setDatasets(await listDatasets());
+    } catch (error) {
+      console.error("Error saving dataset:", error);
+      setImportStatus("データの保存に失敗しました。");
+    }
+  };
+
+  const createDataset = async () => {
+    const name = window.prompt("新しいデータセットの名前を入力してください（例: 2026年度、B軍のみ）");
+    if (!name || !name.trim()) return;
+    const id = newDatasetId();
+    try {
+      await saveDataset({ id, name: name.trim(), batting: [], pitching: [], updatedAt: null });
+      setDatasets(await listDatasets());
+    } catch (error) {
+      console.error("Error creating dataset:", error);
+      setImportStatus("データセットの作成に失敗しました。");
+      return;
+    }
+    await switchDataset(id);
+  };
+
+  const renameDataset = async () => {
+    try {
+      const dataset = await loadDataset(activeDatasetId);
+      if (!dataset) return;
+      const name = window.prompt("データセット名を入力してください", dataset.name);
+      if (!name || !name.trim()) return;
+      await saveDataset({ ...dataset, name: name.trim() });
+      setDatasets(await listDatasets());
+    } catch (error) {
+      console.error("Error renaming dataset:", error);
+      setImportStatus("データセット名の変更に失敗しました。");
+    }
+  };
+
+  const removeDataset = async () => {
+    const current = datasets.find(d => d.id === activeDatasetId);
+    if (!current || datasets.length <= 1) return;
+    if (!window.confirm(`データセット「${current.name}」を削除しますか？\n（この操作は元に戻せません）`)) return;
+    let list;
+    try {
+      await deleteDataset(activeDatasetId);
+      list = await listDatasets();
+      setDatasets(list);
+    } catch (error) {
+      console.error("Error deleting dataset:", error);
+      setImportStatus("データセットの削除に失敗しました。");
+      return;
+    }
+    await switchDataset(list[0].id);
+  };
+
+  // Expand dropped/selected files into tokenized import sources ({ name, records, issues }).
+  // Each CSV inside a ZIP and each sheet of an Excel workbook becomes its own source.
+  const collectSources = async (files, report) => {
+    const sources = [];
+    const addCSV = (name, data) => sources.push({ name, ...readCSVRecords(decodeCSVBuffer(data)) });
+    for (const file of files) {
+      const name = file.name;
+      if (/\.xlsx$/i.test(name)) {
+        try {
+          const sheets = await readXlsxSheets(await file.arrayBuffer());
+          sheets.forEach(sheet => sources.push({ name: `${name} / ${sheet.name}`, records: sheet.records, issues: [], isSheet: true }));
+        } catch (error) {
+          report.push({ fileName: name, type: null, rowCount: 0, issues: [{ line: null, level: 'error', message: error.message }] });
+        }
+      } else if (/\.zip$/i.test(name)) {
+        try {
+          const entries = await readZipEntries(await file.arrayBuffer());
+          const csvEntries = entries.filter(e => /\.csv$/i.test(e.name) && !e.name.split('/').pop().startsWith('.'));
+          if (csvEntries.length === 0) {
+            report.push({ fileName: name, type: null, rowCount: 0, issues: [{ line: null, level: 'error', message: 'ZIP内にCSVファイルがありません' }] });
+          }
+          csvEntries.forEach(e => addCSV(`${name} / ${e.name}`, e.data));
+        } catch (error) {
+          report.push({ fileName: name, type: null, rowCount: 0, issues: [{ line: null, level: 'error', message: error.message }] });
+        }
+      } else {
+        addCSV(name, await file.arrayBuffer());
+      }
+    }
+    return sources;
+  };
+
+  // Apply saved column mappings and group the sources that still have unknown headers
+  // (by identical header row) into items for the mapping step.
+  const planColumnMapping = (sources) => {
+    const items = new Map();
+    sources.forEach(source => {
+      const header = headerRecordOf(source.records);
+      if (!header) return;
+      let headers = header.fields.map(h => h.trim());
+      const profile = findMappingProfile(headers, columnMappings);
+      if (profile) {
+        source.records = applyHeaderMapping(source.records, profile.mapping);
+        source.type = profile.type;
+        source.issues.push({ line: null, level: 'info', message: `列マッピング「${profile.name}」を適用しました` });
+        headers = headerRecordOf(source.records).fields;
+      }
+
+      const unknown = unknownHeaders(headers);
+      if (unknown.length === 0) return;
+      const key = headers.join('\u0000');
+      if (!items.has(key)) {
+        const type = source.type || guessMappingType(headers);
+        const knownCount = headers.length - unknown.length;
+        items.set(key, {
+          key,
+          sourceNames: [],
+          unknown,
+          // Sheets without a single recognisable column are usually notes; skip them by default
+          type: source.isSheet && knownCount === 0 && !Object.values(suggestMapping(unknown, type)).some(Boolean) ? 'skip' : type,
+          mapping: suggestMapping(unknown, type),
+        });
+      }
+      items.get(key).sourceNames.push(source.name);
+      source.mappingKey = key;
+    });
+    return Array.from(items.values());
+  };
+
+  const handleFileUpload = (event) => {
     const files = Array.from(event.target.files);
-    let newBatting = [...battingData];
-    let newPitching = [...pitchingData];
-    let importedCount = 0;
+    event.target.value = '';
+    importFiles(files);
+  };
+
+  const importFiles = async (files) => {
+    const report = [];
 
     setImportStatus("読み込み中...");
+    setPendingImport(null);
+    setPendingMapping(null);
+    const sources = await collectSources(files, report);
+
+    const mappingItems = planColumnMapping(sources);
+    if (mappingItems.length > 0) {
+      setImportReport([]);
+      setPendingMapping({ sources, report, items: mappingItems });
+      setImportStatus("");
+      return;
+    }
+    buildImportPreview(sources, report);
+  };
 
-    for (const file of files) {
-      const text = await file.text();
-      const data = parseCSV(text);
-      
-      if (file.name.includes('_b.csv') || (data[0] && '打席数' in data[0])) {
-        newBatting = data; 
-        importedCount++;
-      } else if (file.name.includes('_p.csv') || (data[0] && '投球回' in data[0] || '球数' in data[0])) {
-        newPitching = data;
-        importedCount++;
+  const updateMappingItem = (key, patch) => {
+    setPendingMapping(prev => ({
+      ...prev,
+      items: prev.items.map(item => item.key === key ? { ...item, ...patch } : item),
+    }));
+  };
+
+  const finishColumnMapping = (saveProfiles) => {
+    const { sources, report, items } = pendingMapping;
+    const newProfiles = [];
+    items.forEach(item => {
+      if (saveProfiles && item.type !== 'skip') {
+        const name = window.prompt(`列マッピングの保存名を入力してください（${item.sourceNames[0]}）`, item.sourceNames[0].replace(/\.(csv|xlsx)$/i, ''));
+        if (name && name.trim()) {
+          newProfiles.push({ id: `map-${Date.now()}-${newProfiles.length}`, name: name.trim(), type: item.type, mapping: item.mapping });
+        }
+      }
+      sources.filter(s => s.mappingKey === item.key).forEach(source => {
+        if (item.type === 'skip') {
+          source.skip = true;
+        } else {
+          source.records = applyHeaderMapping(source.records, item.mapping);
+          source.type = item.type;
+        }
+      });
+    });
+    if (newProfiles.length > 0) setColumnMappings([...columnMappings, ...newProfiles]);
+    setPendingMapping(null);
+    buildImportPreview(sources, report);
+  };
+
+  const buildImportPreview = (sources, report) => {
+    let incomingBatting = null;
+    let incomingPitching = null;
+
+    for (const [idx, source] of sources.entries()) {
+      setImportStatus(`読み込み中... (${idx + 1}/${sources.length}) ${source.name}`);
+      if (source.skip) {
+        report.push({ fileName: source.name, type: null, rowCount: 0, issues: [{ line: null, level: 'warning', message: '列マッピングで「読み込まない」が選ばれたため、読み込みませんでした' }] });
+        continue;
+      }
+      const { rows: data, issues } = parseRecords(source.records, source.issues);
+      const type = source.type || detectDataType(source.name, data);
+
+      if (type === 'batting') {
+        incomingBatting = mergeRows(incomingBatting || [], data).merged;
+      } else if (type === 'pitching') {
+        incomingPitching = mergeRows(incomingPitching || [], data).merged;
+      } else if (source.isSheet) {
+        // Workbooks often hold notes or summary sheets; only matching sheets are imported
+        issues.splice(0, issues.length, { line: null, level: 'warning', message: '見出しが打撃・投手の列と一致しないシートのため、読み込みませんでした' });
+      } else {
+        issues.push({ line: null, level: 'error', message: '打撃・投手どちらのファイルか判別できないため、取り込みませんでした' });
       }
+      if (type) issues.unshift(...validateColumns(data, type));
+      report.push({ fileName: source.name, type, rowCount: data.length, issues });
     }
 
-    setBattingData(newBatting);
-    setPitchingData(newPitching);
-    
-    const now = new Date().toLocaleString('ja-JP');
-    localStorage.setItem('bb_stats_batting', JSON.stringify(newBatting));
-    localStorage.setItem('bb_stats_pitching', JSON.stringify(newPitching));
-    localStorage.setItem('bb_stats_date', now);
-    setLastUpdated(now);
-    setImportStatus(`${importedCount}ファイルをインポートしました`);
+    const preview = (existing, incoming) => {
+      if (!incoming) return null;
+      const result = mergeRows(existing, incoming);
+      const incomingGames = new Set(incoming.map(r => r['試合ID']));
+      return {
+        rows: importMode === 'merge' ? result.merged : incoming,
+        summary: summarizeMerge(existing, result),
+        removedGames: importMode === 'replace' ? new Set(existing.filter(r => !incomingGames.has(r['試合ID'])).map(r => r['試合ID'])).size : 0,
+      };
+    };
+
+    // Sample rows shown for an empty dataset are never merged into real data
+    const existingBatting = isSampleData ? [] : battingData;
+    const existingPitching = isSampleData ? [] : pitchingData;
+
+    setImportReport(report);
+    setPendingImport({
+      mode: importMode,
+      batting: preview(existingBatting, incomingBatting),
+      pitching: preview(existingPitching, incomingPitching),
+    });
+    setImportStatus("");
+  };
+
+  const confirmImport = () => {
+    if (!pendingImport) return;
+    const { batting, pitching } = pendingImport;
+    const keep = (rows) => isSampleData ? [] : rows;
+    saveData(batting ? batting.rows : keep(battingData), pitching ? pitching.rows : keep(pitchingData));
+    setPendingImport(null);
+    const issueCount = importReport.reduce((acc, r) => acc + r.issues.filter(i => i.level !== 'info').length, 0);
+    const importedCount = importReport.filter(r => r.type).length;
+    setImportStatus(`${importedCount}ファイルをインポートしました` + (issueCount > 0 ? `（確認事項 ${issueCount}件）` : ''));
     setTimeout(() => setImportStatus(""), 3000);
   };
 
-  const clearData = () => {
-    if (window.confirm("全てのデータを削除しますか？\n（削除後は初期サンプルデータに戻ります）")) {
-      localStorage.removeItem('bb_stats_batting');
-      localStorage.removeItem('bb_stats_pitching');
-      localStorage.removeItem('bb_stats_date');
+  const cancelImport = () => {
+    setPendingImport(null);
+    setPendingMapping(null);
+    setImportReport([]);
+  };
+
+  const deleteColumnMapping = (id) => {
+    const profile = columnMappings.find(p => p.id === id);
+    if (profile && window.confirm(`列マッピング「${profile.name}」を削除しますか？`)) {
+      setColumnMappings(columnMappings.filter(p => p.id !== id));
+    }
+  };
+
+  const exportBackup = async () => {
+    try {
+      const backup = await createBackup(activeDatasetId);
+      const blob = new Blob([JSON.stringify(backup)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      const d = new Date();
+      a.href = url;
+      a.download = `ants_dashboard_backup_${d.getFullYear()}${(d.getMonth() + 1).toString().padStart(2, '0')}${d.getDate().toString().padStart(2, '0')}.json`;
+      a.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("Error exporting backup:", error);
+      setImportStatus("バックアップの作成に失敗しました。");
+    }
+  };
+
+  const handleBackupRestore = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const backup = migrateBackup(JSON.parse(await file.text()));
+      const rowCount = backup.datasets.reduce((acc, d) => acc + d.batting.length + d.pitching.length, 0);
+      if (!window.confirm(`バックアップ（データセット${backup.datasets.length}件・${rowCount}行）を復元しますか？\n現在のデータと設定は全て置き換えられます。`)) return;
+      await restoreBackup(backup);
+      // Every piece of state is re-read from storage on startup
+      window.location.reload();
+    } catch (error) {
+      console.error("Error restoring backup:", error);
+      setImportStatus(`復元に失敗しました: ${error.message}`);
+    }
+  };
+
+  const clearData = async () => {
+    const current = datasets.find(d => d.id === activeDatasetId);
+    if (window.confirm(`データセット「${current?.name || ''}」の全てのデータを削除しますか？\n（削除後は初期サンプルデータに戻ります）`)) {
+      try {
+        const dataset = await loadDataset(activeDatasetId);
+        await saveDataset({ ...dataset, batting: [], pitching: [], updatedAt: null });
+        setDatasets(await listDatasets());
+      } catch (error) {
+        console.error("Error clearing dataset:", error);
+      }
       loadDefaultData();
     }
   };
 
+  const mergePlayer = (sourceId, targetId) => {
+    if (!targetId || sourceId === targetId) return;
+    const source = rosterPlayers.find(p => p.id === sourceId);
+    const target = rosterPlayers.find(p => p.id === targetId);
+    if (!window.confirm(`「${source?.name}」の成績を「${target?.name}」に統合しますか？`)) return;
+    setRoster({ ...roster, aliases: { ...roster.aliases, [sourceId]: targetId } });
+  };
+
+  const unmergePlayer = (sourceKey) => {
+    const { [sourceKey]: removed, ...aliases } = roster.aliases;
+    setRoster({ ...roster, aliases });
+  };
+
+  const renamePlayer = (player) => {
+    const name = window.prompt("表示名を入力してください（空欄でCSVの名前に戻ります）", player.name);
+    if (name === null) return;
+    const { [player.id]: removed, ...displayNames } = roster.displayNames;
+    setRoster({ ...roster, displayNames: name.trim() ? { ...displayNames, [player.id]: name.trim() } : displayNames });
+  };
+
+  const addTeamPattern = () => {
+    const pattern = window.prompt("自チーム名に含まれる文字列を入力してください（例: アントス）");
+    if (!pattern || !pattern.trim() || teamSettings.namePatterns.includes(pattern.trim())) return;
+    setTeamSettings({ ...teamSettings, namePatterns: [...teamSettings.namePatterns, pattern.trim()] });
+  };
+
+  const removeTeamPattern = (pattern) => {
+    setTeamSettings({ ...teamSettings, namePatterns: teamSettings.namePatterns.filter(p => p !== pattern) });
+  };
+
+  const addSquad = () => {
+    const name = window.prompt("チーム区分の名前を入力してください（例: C軍）");
+    if (!name || !name.trim() || teamSettings.squads.some(s => s.name === name.trim())) return;
+    const pattern = window.prompt("チーム名に含まれる識別文字列を入力してください", `@${name.trim()}`);
+    if (!pattern || !pattern.trim()) return;
+    setTeamSettings({ ...teamSettings, squads: [...teamSettings.squads, { name: name.trim(), pattern: pattern.trim() }] });
+  };
+
+  const removeSquad = (name) => {
+    setTeamSettings({ ...teamSettings, squads: teamSettings.squads.filter(s => s.name !== name) });
+    if (activeFilters.squad === name) setActiveFilters({ ...activeFilters, squad: 'all' });
+  };
+
+  const addRuleProfile = () => {
+    const name = window.prompt("ルール名を入力してください（例: 市民大会 (6回)）");
+    if (!name || !name.trim()) return;
+    const profile = { id: `rule-${Date.now()}`, name: name.trim(), innings: 7, pitchLimit: 70, dh: false, freeSubstitution: false };
+    setRuleSettings({ ...ruleSettings, profiles: [...ruleSettings.profiles, profile] });
+  };
+
+  const updateRuleProfile = (id, patch) => {
+    setRuleSettings({ ...ruleSettings, profiles: ruleSettings.profiles.map(p => p.id === id ? { ...p, ...patch } : p) });
+  };
+
+  const removeRuleProfile = (id) => {
+    if (ruleSettings.profiles.length <= 1 || id === ruleSettings.defaultProfileId) return;
+    // Titles assigned to the removed profile fall back to the default profile
+    const titleProfiles = Object.fromEntries(Object.entries(ruleSettings.titleProfiles).filter(([, v]) => v !== id));
+    setRuleSettings({ ...ruleSettings, profiles: ruleSettings.profiles.filter(p => p.id !== id), titleProfiles });
+  };
+
+  const setTitleProfile = (title, id) => {
+    const titleProfiles = { ...ruleSettings.titleProfiles };
+    if (id === ruleSettings.defaultProfileId) delete titleProfiles[title];
+    else titleProfiles[title] = id;
+    setRuleSettings({ ...ruleSettings, titleProfiles });
+  };
+
+  const isFileDrag = (e) => Array.from(e.dataTransfer?.types || []).includes('Files');
+
+  // dragenter/dragleave fire for every child crossed (and Safari never sets relatedTarget),
+  // so the overlay follows a count of entered elements and hides once it is back to zero.
+  const dragDepth = useRef(0);
+
+  const handleDragEnter = (e) => {
+    if (!isFileDrag(e)) return;
+    dragDepth.current += 1;
+    if (!isDragging) setIsDragging(true);
+  };
+
+  const handleDragOver = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    if (!isDragging) setIsDragging(true);
+  };
+
+  const handleDragLeave = (e) => {
+    if (!isFileDrag(e)) return;
+    dragDepth.current = Math.max(0, dragDepth.current - 1);
+    if (dragDepth.current === 0) setIsDragging(false);
+  };
+
+  const handleDrop = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    dragDepth.current = 0;
+    setIsDragging(false);
+    setActiveTab('settings');
+    importFiles(Array.from(e.dataTransfer.files));
+  };
+
   const handleNavClick = (tab) => {
     setActiveTab(tab);
     setIsMenuOpen(false);
+    if (tab === 'game') setSelectedGameId(null);
+    if (window.location.hash) window.history.replaceState(null, '', window.location.pathname + window.location.search);
+  };
+
+  // Tab to go back to when the hash is cleared (browser back from a #game= / #player= page)
+  const hashReturnTab = useRef('dashboard');
+
+  const rememberReturnTab = () => {
+    if (activeTab !== 'player' && !(activeTab === 'game' && selectedGameId)) hashReturnTab.current = activeTab;
+  };
+
+  const openGame = (gameId) => {
+    rememberReturnTab();
+    setSelectedGameId(gameId);
+    setActiveTab('game');
+    window.location.hash = `game=${encodeURIComponent(gameId)}`;
+    window.scrollTo(0, 0);
   };
 
+  const openPlayer = (playerId) => {
+    rememberReturnTab();
+    setProfilePlayerId(playerId);
+    setActiveTab('player');
+    window.location.hash = `player=${encodeURIComponent(playerId)}`;
+    window.scrollTo(0, 0);
+  };
+
+  // Follow #game= / #player= links and browser back/forward between those pages and the tab they were opened from
+  useEffect(() => {
+    const onHashChange = () => {
+      const gameId = hashParam('game');
+      const playerId = hashParam('player');
+      if (gameId) {
+        setSelectedGameId(gameId);
+        setActiveTab('game');
+      } else if (playerId) {
+        setProfilePlayerId(playerId);
+        setActiveTab('player');
+      } else {
+        setSelectedGameId(null);
+        setProfilePlayerId(null);
+        setActiveTab(hashReturnTab.current);
+      }
+    };
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
+
   const resetFilters = () => {
       setActiveFilters({
         startDate: '',
         endDate: '',
-        teamKeyword: '',
+        squad: 'all',
         category: 'all',
       });
   };
 
+  const dataQualityIssues = useMemo(() => {
+    const issues = [
+      ...validateRows(battingData, 'batting'),
+      ...validateRows(pitchingData, 'pitching'),
+      ...validateGames(summarizeGames(battingData, pitchingData, teamSettings)),
+    ];
+    return issues.sort((a, b) => parseDate(b.date) - parseDate(a.date));
+  }, [battingData, pitchingData, teamSettings]);
+
   // --- Filtering Logic ---
 
   const filterData = (data, filtersToUse) => {
@@ -309,19 +2254,9 @@ export default function App() {
         if (start && rowDate < start) return false;
         if (end && rowDate >= end) return false;
 
-        if (filtersToUse.teamKeyword) {
-            const kw = filtersToUse.teamKeyword;
-            const teamA = (row['先攻'] || '');
-            const teamB = (row['後攻'] || '');
-            let isMatch;
-            try {
-                const regex = new RegExp(kw, 'i');
-                isMatch = regex.test(teamA) || regex.test(teamB);
-            } catch (e) {
-                const lowerKw = kw.toLowerCase();
-                isMatch = teamA.toLowerCase().includes(lowerKw) || teamB.toLowerCase().includes(lowerKw);
-            }
-            if (!isMatch) return false;
+        if (filtersToUse.squad && filtersToUse.squad !== 'all') {
+            const squad = getSquad(row, teamSettings);
+            if (filtersToUse.squad === 'none' ? squad !== null : squad !== filtersToUse.squad) return false;
         }
 
         if (filtersToUse.category !== 'all' && row['タイトル'] !== filtersToUse.category) return false;
@@ -330,102 +2265,83 @@ export default function App() {
     });
   };
 
-  const filteredBattingData = useMemo(() => filterData(battingData, activeFilters), [battingData, activeFilters]);
-  const filteredPitchingData = useMemo(() => filterData(pitchingData, activeFilters), [pitchingData, activeFilters]);
+  const filteredBattingData = useMemo(() => filterData(resolvedBattingData, activeFilters), [resolvedBattingData, activeFilters, teamSettings]);
+  const filteredPitchingData = useMemo(() => filterData(resolvedPitchingData, activeFilters), [resolvedPitchingData, activeFilters, teamSettings]);
 
   // --- Aggregation Logic ---
 
-  const aggregatedBatting = useMemo(() => {
-    const stats = {};
-    filteredBattingData.forEach(row => {
-      const id = row['選手ID'] || row['名前'];
-      if (!stats[id]) {
-        stats[id] = {
-          id: row['選手ID'], name: row['名前'], number: row['背番号'],
-          games: 0, pa: 0, ab: 0, h: 0, doubles: 0, triples: 0, hr: 0, 
-          rbi: 0, runs: 0, so: 0, bb: 0, hbp: 0, sb: 0, sf: 0, sac: 0
-        };
-      }
-      const s = stats[id];
-      s.games += 1;
-      s.pa += (row['打席数'] || 0);
-      s.ab += (row['打数'] || 0);
-      s.h += (row['安打'] || 0);
-      s.doubles += (row['二塁打'] || 0);
-      s.triples += (row['三塁打'] || 0);
-      s.hr += (row['本塁打'] || 0);
-      s.rbi += (row['打点'] || 0);
-      s.runs += (row['得点'] || 0);
-      s.so += (row['三振'] || 0);
-      s.bb += (row['四球'] || 0);
-      s.hbp += (row['死球'] || 0);
-      s.sb += (row['盗塁'] || 0);
-      s.sf += (row['犠飛'] || 0);
-      s.sac += (row['犠打'] || 0);
-    });
+  const aggregatedBatting = useMemo(() => withAdjustedRates(aggregateBatting(filteredBattingData), 'batting').sort((a, b) => b.avg - a.avg), [filteredBattingData]);
 
-    return Object.values(stats).map(s => {
-      const avg = safeDiv(s.h, s.ab);
-      const obp = safeDiv(s.h + s.bb + s.hbp, s.ab + s.bb + s.hbp + s.sf);
-      const singles = s.h - s.doubles - s.triples - s.hr;
-      const totalBases = singles + (s.doubles * 2) + (s.triples * 3) + (s.hr * 4);
-      const slg = safeDiv(totalBases, s.ab);
-      const ops = obp + slg;
-      const bbK = safeDiv(s.bb + s.hbp, s.so);
-      const isoD = obp - avg;
+  const aggregatedPitching = useMemo(() => aggregatePitching(filteredPitchingData, ruleSettings).sort((a, b) => a.era - b.era), [filteredPitchingData, ruleSettings]);
 
-      return {
-        ...s,
-        avg: Number(avg.toFixed(3)),
-        obp: Number(obp.toFixed(3)), 
-        slg: Number(slg.toFixed(3)), 
-        ops: Number(ops.toFixed(3)), 
-        bbK: Number(bbK.toFixed(2)),
-        isoD: Number(isoD.toFixed(3))
-      };
-    }).sort((a, b) => b.avg - a.avg);
-  }, [filteredBattingData]);
+  // Workload ignores the filters: arm fatigue doesn't care which squad or tournament the game was for
+  const workload = useMemo(() => buildWorkload(resolvedPitchingData, workloadDate, workloadSettings), [resolvedPitchingData, workloadDate, workloadSettings]);
 
-  const aggregatedPitching = useMemo(() => {
-    const stats = {};
-    filteredPitchingData.forEach(row => {
-      const id = row['選手ID'] || row['名前'];
-      if (!stats[id]) {
-        stats[id] = {
-          id: row['選手ID'], name: row['名前'], number: row['背番号'],
-          games: 0, outs: 0, h: 0, r: 0, er: 0, bb: 0, hbp: 0, so: 0, win: 0, loss: 0, sv: 0
-        };
+  const workloadAlertList = useMemo(() => {
+    const alerts = workloadAlerts(workload, workloadSettings);
+    // Per-game limits from the competition rules
+    resolvedPitchingData.forEach(row => {
+      const profile = getRuleProfile(row, ruleSettings);
+      if (profile.pitchLimit > 0 && row['球数'] > profile.pitchLimit) {
+        alerts.push({ date: toDateKey(parseDate(row['日付'])), name: row['名前'], message: `試合の球数 ${row['球数']}球（${profile.name}の制限 ${profile.pitchLimit}球）` });
       }
-      const s = stats[id];
-      s.games += 1;
-      s.outs += (row['アウト数'] || 0);
-      s.h += (row['安打'] || 0);
-      s.r += (row['失点'] || 0);
-      s.er += (row['自責点'] || 0);
-      s.bb += (row['四球'] || 0);
-      s.hbp += (row['死球'] || 0);
-      s.so += (row['三振'] || 0);
-      s.win += (row['勝数'] || 0);
-      s.loss += (row['負数'] || 0);
-      s.sv += (row['セーブ'] || 0);
     });
+    return alerts.sort((a, b) => b.date.localeCompare(a.date));
+  }, [workload, workloadSettings, resolvedPitchingData, ruleSettings]);
+
+  // Pitching stats limited to starts or relief appearances, for the pitching table and comparisons
+  const rolePitching = useMemo(() => {
+    if (pitchingRole === 'all') return withAdjustedRates(aggregatedPitching, 'pitching');
+    return withAdjustedRates(aggregatePitching(filteredPitchingData.filter(row => getPitchingRole(row) === pitchingRole), ruleSettings), 'pitching').sort((a, b) => a.era - b.era);
+  }, [aggregatedPitching, filteredPitchingData, pitchingRole, ruleSettings]);
+
+  // Regulation innings of the games currently aggregated, for labels like "K/7"
+  const ruleInnings = useMemo(() => {
+    const innings = new Set(filteredPitchingData.map(row => getRuleProfile(row, ruleSettings).innings));
+    if (innings.size === 0) innings.add(getRuleProfile({}, ruleSettings).innings);
+    const values = Array.from(innings).sort((a, b) => b - a);
+    return { values, label: values.length === 1 ? String(values[0]) : '規定回' };
+  }, [filteredPitchingData, ruleSettings]);
 
-    return Object.values(stats).map(s => {
-      const displayInnings = `${Math.floor(s.outs / 3)}${s.outs % 3 > 0 ? '.' + (s.outs % 3) : ''}`;
-      const era = safeDiv(s.er * 7, s.outs / 3);
-      const whip = safeDiv(s.bb + s.hbp + s.h, s.outs / 3);
-      const kbb = safeDiv(s.so, s.bb);
+  const battingMetricOptions = useMemo(() => [
+      { v: 'avg', l: '打率' }, { v: 'ops', l: 'OPS' }, { v: 'hr', l: '本塁打' },
+      { v: 'rbi', l: '打点' }, { v: 'sb', l: '盗塁' }, { v: 'obp', l: '出塁率' },
+      { v: 'slg', l: '長打率' }, { v: 'bb', l: '四球' }, { v: 'so', l: '三振' },
+      { v: 'rispAvg', l: '得点圏打率' }, { v: 'rispDelta', l: '得点圏打率差' },
+      { v: 'lobPerPA', l: '残塁/打席' }, { v: 'gidpRate', l: '併殺打率' },
+      { v: 'iso', l: 'ISO' }, { v: 'isoD', l: 'IsoD' }, { v: 'babip', l: 'BABIP' },
+      { v: 'kRate', l: '三振率(K%)' }, { v: 'bbRate', l: '四死球率(BB%)' }, { v: 'sbRate', l: '盗塁成功率' },
+      { v: 'goFo', l: 'GO/FO' }, { v: 'sacRate', l: '犠打率' }, { v: 'xbhRate', l: '長打割合' }
+  ], []);
+  const pitchingMetricOptions = useMemo(() => [
+      { v: 'era', l: '防御率' }, { v: 'whip', l: 'WHIP' }, { v: 'kbb', l: 'K/BB' },
+      { v: 'so', l: '奪三振' }, { v: 'win', l: '勝利数' }, { v: 'displayInnings', l: '投球回' },
+      { v: 'qs', l: 'QS' }, { v: 'hold', l: 'ホールド' }, { v: 'oppAvg', l: '被打率' },
+      { v: 'strikeRate', l: 'S率' }, { v: 'pitchesPerInning', l: '球数/回' }, { v: 'pitchesPerBatter', l: '球数/打者' },
+      { v: 'wpBkPerGame', l: `暴投・ボーク/${ruleInnings.label}` }, { v: 'goFo', l: 'GO/FO' }
+  ], [ruleInnings]);
+
+  useEffect(() => {
+    // Reset scatter metrics when switching between batting/pitching analysis
+    if (comparisonDataType === 'batting') {
+        setScatterX('obp');
+        setScatterY('slg');
+    } else {
+        setScatterX('era');
+        setScatterY('whip');
+    }
+  }, [comparisonDataType]);
 
-      return {
-        ...s,
-        displayInnings, 
-        era: Number(era.toFixed(2)), 
-        whip: Number(whip.toFixed(2)), 
-        kbb: Number(kbb.toFixed(2)),
-        inningsVal: s.outs / 3
-      };
-    }).sort((a, b) => a.era - b.era);
-  }, [filteredPitchingData]);
+  useEffect(() => {
+    const currentOptions = comparisonDataType === 'batting' ? battingMetricOptions : pitchingMetricOptions;
+    if (!currentOptions.some(o => o.v === comparisonMetric)) {
+        if (comparisonDataType === 'batting') {
+            setComparisonMetric('avg');
+        } else { // pitching
+            setComparisonMetric('era');
+        }
+    }
+  }, [comparisonDataType, comparisonMetric, battingMetricOptions, pitchingMetricOptions]);
 
   const teamStats = useMemo(() => {
     if (filteredBattingData.length === 0) return null;
@@ -437,10 +2353,30 @@ export default function App() {
     const teamAvg = safeDiv(totalH, totalAB).toFixed(3);
     const totalER = aggregatedPitching.reduce((acc, cur) => acc + cur.er, 0);
     const totalOuts = aggregatedPitching.reduce((acc, cur) => acc + cur.outs, 0);
-    const teamERA = safeDiv(totalER * 7, totalOuts / 3).toFixed(2);
+    const totalRegOuts = aggregatedPitching.reduce((acc, cur) => acc + cur.regOuts, 0);
+    const teamERA = perGameRate(totalER, totalOuts, totalRegOuts).toFixed(2);
     return { totalGames: gameIds.size, teamAvg, totalR, totalHR, teamERA };
   }, [filteredBattingData, aggregatedBatting, aggregatedPitching]);
 
+  // 規定打席 / 規定投球回 for the filtered games, and the players ranked against them
+  const qualification = useMemo(() => {
+    const games = teamStats?.totalGames || 0;
+    return {
+      games,
+      minPA: Math.floor(games * qualificationSettings.paPerGame),
+      minInnings: games * qualificationSettings.ipPerGame,
+    };
+  }, [teamStats, qualificationSettings]);
+
+  const qualifiedBatting = useMemo(
+    () => applyQualification(aggregatedBatting, p => p.pa >= qualification.minPA, qualificationSettings.includeUnqualified),
+    [aggregatedBatting, qualification, qualificationSettings]
+  );
+  const qualifiedPitching = useMemo(
+    () => applyQualification(rolePitching, p => p.inningsVal >= qualification.minInnings, qualificationSettings.includeUnqualified),
+    [rolePitching, qualification, qualificationSettings]
+  );
+
   const monthlyBattingTrend = useMemo(() => {
     const periods = {};
     filteredBattingData.forEach(row => {
@@ -500,11 +2436,7 @@ export default function App() {
 
         switch (period) {
             case 'game':
-                const homeTeam = row['後攻'] || '';
-                const awayTeam = row['先攻'] || '';
-                const isHomeArinko = homeTeam.includes('ありんこ') || homeTeam.includes('アントス');
-                const opponent = isHomeArinko ? awayTeam : homeTeam;
-                return `${row['日付']} vs ${opponent || '不明'}`;
+                return `${row['日付']} vs ${getOpponent(row, teamSettings) || '不明'}`;
             case 'quarterly':
                 const quarter = Math.floor(month / 3) + 1;
                 return `${year}-Q${quarter}`;
@@ -556,10 +2488,11 @@ export default function App() {
     filteredPitchingData.forEach(row => {
         const key = getKey(row, trendPeriod);
         if (!key) return;
-        if (!pitchingPeriods[key]) pitchingPeriods[key] = { periodKey: key, outs: 0, er: 0, h: 0, bb: 0, hbp: 0, so: 0, s: 0, pitches: 0 };
+        if (!pitchingPeriods[key]) pitchingPeriods[key] = { periodKey: key, outs: 0, regOuts: 0, er: 0, h: 0, bb: 0, hbp: 0, so: 0, s: 0, pitches: 0 };
         
         const p = pitchingPeriods[key];
         p.outs += (row['アウト数'] || 0);
+        p.regOuts += regulationOuts(row, ruleSettings);
         p.er += (row['自責点'] || 0);
         p.h += (row['安打'] || 0);
         p.bb += (row['四球'] || 0);
@@ -571,254 +2504,113 @@ export default function App() {
     
     const pitchingResult = Object.values(pitchingPeriods).sort((a, b) => a.periodKey.localeCompare(b.periodKey)).map(m => {
         const innings = m.outs / 3;
-        const era = safeDiv(m.er * 7, innings);
+        const era = perGameRate(m.er, m.outs, m.regOuts);
         const whip = safeDiv(m.h + m.bb + m.hbp, innings);
-        const kPer7 = safeDiv(m.so * 7, innings);
-        const bbPer7 = safeDiv((m.bb + m.hbp) * 7, innings);
+        const kPerGame = perGameRate(m.so, m.outs, m.regOuts);
+        const bbPerGame = perGameRate(m.bb + m.hbp, m.outs, m.regOuts);
         const strikeRate = safeDiv(m.s, m.pitches) * 100;
-        return { ...m, bbhbp: m.bb + m.hbp, era: Number(era.toFixed(2)), whip: Number(whip.toFixed(2)), kPer7: Number(kPer7.toFixed(2)), bbPer7: Number(bbPer7.toFixed(2)), strikeRate: Number(strikeRate.toFixed(1)) };
+        return { ...m, bbhbp: m.bb + m.hbp, era: Number(era.toFixed(2)), whip: Number(whip.toFixed(2)), kPerGame: Number(kPerGame.toFixed(2)), bbPerGame: Number(bbPerGame.toFixed(2)), strikeRate: Number(strikeRate.toFixed(1)) };
     });
 
     return { batting: battingResult, pitching: pitchingResult };
-  }, [filteredBattingData, filteredPitchingData, trendPeriod]);
-
-  const gameByGameStats = useMemo(() => {
-    if (filteredBattingData.length === 0) return [];
+  }, [filteredBattingData, filteredPitchingData, trendPeriod, teamSettings, ruleSettings]);
+
+  // Every game in the data (ignoring filters), for the game list and game pages
+  const allGames = useMemo(() => summarizeGames(resolvedBattingData, resolvedPitchingData, teamSettings), [resolvedBattingData, resolvedPitchingData, teamSettings]);
+
+  // Games matching the current filters
+  const gameList = useMemo(() => {
+    const gameIds = new Set([...filteredBattingData, ...filteredPitchingData].map(r => r['試合ID']));
+    return allGames.filter(game => gameIds.has(game.id));
+  }, [allGames, filteredBattingData, filteredPitchingData]);
+
+  // Head-to-head record per opponent over the filtered games
+  const opponentStats = useMemo(() => {
+    const groups = new Map();
+    gameList.forEach(game => {
+      if (!groups.has(game.opponent)) groups.set(game.opponent, []);
+      groups.get(game.opponent).push(game);
+    });
 
-    const gamesMap = new Map();
+    return Array.from(groups.entries()).map(([opponent, games]) => {
+      const gameIds = new Set(games.map(g => g.id));
+      const battingRows = filteredBattingData.filter(row => gameIds.has(row['試合ID']));
+      const pitchingRows = filteredPitchingData.filter(row => gameIds.has(row['試合ID']));
+      const batting = aggregateBatting(battingRows, () => 'team')[0];
+      const pitching = aggregatePitching(pitchingRows, ruleSettings, () => 'team')[0];
+      const bestBatter = aggregateBatting(battingRows).filter(p => p.pa >= 3).sort((a, b) => b.ops - a.ops)[0];
+      const bestPitcher = aggregatePitching(pitchingRows, ruleSettings).filter(p => p.outs >= 3).sort((a, b) => a.era - b.era || b.so - a.so)[0];
 
-    // First pass: Batting data to establish games and aggregate runs scored
-    filteredBattingData.forEach(row => {
-      const gameId = row['試合ID'];
-      if (!gameId) return;
-
-      if (!gamesMap.has(gameId)) {
-        const homeTeam = row['後攻'] || '';
-        const awayTeam = row['先攻'] || '';
-        const isHomeArinko = homeTeam.includes('ありんこ') || homeTeam.includes('アントス');
-        const opponent = isHomeArinko ? awayTeam : homeTeam;
-
-        gamesMap.set(gameId, {
-          id: gameId,
-          date: row['日付'],
-          opponent: opponent || '不明',
-          scoreText: row['スコア'],
-          runsScored: 0,
-          runsAllowed: 0
-        });
-      }
-      
-      const game = gamesMap.get(gameId);
-      game.runsScored += (row['得点'] || 0);
-    });
+      return {
+        opponent,
+        games: [...games].reverse(),
+        wins: games.filter(g => g.result === 'W').length,
+        losses: games.filter(g => g.result === 'L').length,
+        ties: games.filter(g => g.result === 'T').length,
+        runsScored: games.reduce((acc, g) => acc + g.runsScored, 0),
+        runsAllowed: games.reduce((acc, g) => acc + g.runsAllowed, 0),
+        avg: batting?.avg ?? 0,
+        ops: batting?.ops ?? 0,
+        era: pitching?.era ?? 0,
+        whip: pitching?.whip ?? 0,
+        bestBatter,
+        bestPitcher,
+      };
+    }).sort((a, b) => b.games.length - a.games.length || a.opponent.localeCompare(b.opponent, 'ja'));
+  }, [gameList, filteredBattingData, filteredPitchingData, ruleSettings]);
 
-    // Second pass: Pitching data to aggregate runs allowed
-    filteredPitchingData.forEach(row => {
-        const gameId = row['試合ID'];
-        if (gamesMap.has(gameId)) {
-            gamesMap.get(gameId).runsAllowed += (row['失点'] || 0);
-        }
-    });
+  const splitStats = useMemo(() => {
+    const byPlayer = (row) => !splitsPlayerId || playerKey(row) === splitsPlayerId;
+    const groupOf = splitsKey === 'venue'
+      ? (row) => row['球場'] || '球場不明'
+      : (row) => ({ away: '先攻', home: '後攻' }[getOwnSide(row, teamSettings)] || '不明');
+    return computeSplits(filteredBattingData.filter(byPlayer), filteredPitchingData.filter(byPlayer), gameList, groupOf, ruleSettings);
+  }, [filteredBattingData, filteredPitchingData, gameList, splitsPlayerId, splitsKey, teamSettings, ruleSettings]);
 
-    const sortedGames = Array.from(gamesMap.values()).sort((a, b) => parseDate(a.date) - parseDate(b.date));
+  const gameByGameStats = useMemo(() => {
+    const gameIds = new Set(filteredBattingData.map(r => r['試合ID']));
 
     let wins = 0;
     let gamesPlayed = 0;
 
-    return sortedGames.map(game => {
-      const result = game.runsScored > game.runsAllowed ? 'W'
-                   : game.runsScored < game.runsAllowed ? 'L'
-                   : 'T';
-
+    return gameList.filter(game => gameIds.has(game.id)).map(game => {
       gamesPlayed++;
-      if (result === 'W') {
+      if (game.result === 'W') {
         wins++;
       }
       const winningPercentage = safeDiv(wins, gamesPlayed);
-      
+
       return {
         ...game,
-        result: result,
         winningPercentage: Number(winningPercentage.toFixed(3)),
         label: `${game.date.substring(5).replace('-', '/')} vs ${game.opponent}`
       };
     });
-  }, [filteredBattingData, filteredPitchingData]);
+  }, [gameList, filteredBattingData]);
 
   // Player Cumulative Trend Logic
   const playerBattingTrendData = useMemo(() => {
     if (!selectedPlayerId || trendTarget !== 'player' || trendType !== 'batting') return [];
-
-    const getKey = (row, period) => {
-        const d = parseDate(row['日付']);
-        if (isNaN(d.getTime())) return null;
-        const year = d.getFullYear();
-        const month = d.getMonth();
-
-        switch (period) {
-            case 'game':
-                return row['日付'];
-            case 'quarterly':
-                const quarter = Math.floor(month / 3) + 1;
-                return `${year}-Q${quarter}`;
-            case 'monthly':
-            default:
-                return `${year}-${(month + 1).toString().padStart(2, '0')}`;
-        }
-    };
-
-    const rows = filteredBattingData.filter(r => (r['選手ID'] || r['名前']) === selectedPlayerId);
-    
-    const grouped = {};
-    rows.forEach(row => {
-        const key = getKey(row, trendPeriod);
-        if (!key) return;
-        if (!grouped[key]) grouped[key] = [];
-        grouped[key].push(row);
-    });
-
-    const sortedKeys = Object.keys(grouped).sort();
-
-    let cumulative = { ab: 0, h: 0, bb: 0, hbp: 0, sf: 0, doubles: 0, triples: 0, hr: 0, rbi: 0, sb: 0, so: 0 };
-    
-    return sortedKeys.map(key => {
-        const periodRows = grouped[key];
-        const periodStats = periodRows.reduce((acc, row) => {
-            acc.ab += (row['打数'] || 0);
-            acc.h += (row['安打'] || 0);
-            acc.bb += (row['四球'] || 0);
-            acc.hbp += (row['死球'] || 0);
-            acc.sf += (row['犠飛'] || 0);
-            acc.doubles += (row['二塁打'] || 0);
-            acc.triples += (row['三塁打'] || 0);
-            acc.hr += (row['本塁打'] || 0);
-            acc.so += (row['三振'] || 0);
-            acc.rbi += (row['打点'] || 0);
-            return acc;
-        }, { ab: 0, h: 0, bb: 0, hbp: 0, sf: 0, doubles: 0, triples: 0, hr: 0, rbi: 0, so: 0 });
-
-        Object.keys(periodStats).forEach(statKey => {
-            cumulative[statKey] += periodStats[statKey];
-        });
-
-        const avg = safeDiv(cumulative.h, cumulative.ab);
-        const obp = safeDiv(cumulative.h + cumulative.bb + cumulative.hbp, cumulative.ab + cumulative.bb + cumulative.hbp + cumulative.sf);
-        const singles = cumulative.h - cumulative.doubles - cumulative.triples - cumulative.hr;
-        const tb = singles + cumulative.doubles*2 + cumulative.triples*3 + cumulative.hr*4;
-        const pa = cumulative.ab + cumulative.bb + cumulative.hbp + cumulative.sf;
-        const soRate = safeDiv(cumulative.so, pa) * 100;
-        const bbRate = safeDiv(cumulative.bb + cumulative.hbp, pa) * 100;
-        const slg = safeDiv(tb, cumulative.ab);
-
-        let opponent = '';
-        if (trendPeriod === 'game' && periodRows.length > 0) {
-            const row = periodRows[0];
-            const homeTeam = row['後攻'] || '';
-            const awayTeam = row['先攻'] || '';
-            const isHomeArinko = homeTeam.includes('ありんこ') || homeTeam.includes('アントス');
-            opponent = isHomeArinko ? awayTeam : homeTeam;
-        }
-
-        return {
-            periodKey: key,
-            opponent: opponent,
-            avg: Number(avg.toFixed(3)),
-            ops: Number((obp + slg).toFixed(3)),
-            slg: Number(slg.toFixed(3)),
-            obp: Number(obp.toFixed(3)),
-            bbRate: Number(bbRate.toFixed(1)),
-            soRate: Number(soRate.toFixed(1)),
-            ...periodStats
-        };
-    });
-  }, [filteredBattingData, selectedPlayerId, trendTarget, trendType, trendPeriod]);
+    const rows = filteredBattingData.filter(r => playerKey(r) === selectedPlayerId);
+    if (trendPeriod === 'rolling') return withRollingTrend(rows, rollingWindow, r => cumulativeBattingTrend(r, 'gameId', teamSettings));
+    return cumulativeBattingTrend(rows, trendPeriod, teamSettings);
+  }, [filteredBattingData, selectedPlayerId, trendTarget, trendType, trendPeriod, rollingWindow, teamSettings]);
 
   const playerPitchingTrendData = useMemo(() => {
     if (!selectedPlayerId || trendTarget !== 'player' || trendType !== 'pitching') return [];
-    const getKey = (row, period) => {
-        const d = parseDate(row['日付']);
-        if (isNaN(d.getTime())) return null;
-        const year = d.getFullYear();
-        const month = d.getMonth();
-
-        switch (period) {
-            case 'game':
-                return row['日付'];
-            case 'quarterly':
-                const quarter = Math.floor(month / 3) + 1;
-                return `${year}-Q${quarter}`;
-            case 'monthly':
-            default:
-                return `${year}-${(month + 1).toString().padStart(2, '0')}`;
-        }
+    const rows = filteredPitchingData.filter(r => playerKey(r) === selectedPlayerId);
+    if (trendPeriod === 'rolling') return withRollingTrend(rows, rollingWindow, r => cumulativePitchingTrend(r, 'gameId', teamSettings, ruleSettings));
+    return cumulativePitchingTrend(rows, trendPeriod, teamSettings, ruleSettings);
+  }, [filteredPitchingData, selectedPlayerId, trendTarget, trendType, trendPeriod, rollingWindow, teamSettings, ruleSettings]);
+
+  // Team season-to-date line with the last-N-games rates overlaid
+  const teamRollingTrendData = useMemo(() => {
+    if (trendTarget !== 'team' || trendPeriod !== 'rolling') return null;
+    return {
+      batting: withRollingTrend(filteredBattingData, rollingWindow, r => cumulativeBattingTrend(r, 'gameId', teamSettings)),
+      pitching: withRollingTrend(filteredPitchingData, rollingWindow, r => cumulativePitchingTrend(r, 'gameId', teamSettings, ruleSettings)),
     };
-
-    const rows = filteredPitchingData.filter(r => (r['選手ID'] || r['名前']) === selectedPlayerId);
-    
-    const grouped = {};
-    rows.forEach(row => {
-        const key = getKey(row, trendPeriod);
-        if (!key) return;
-        if (!grouped[key]) grouped[key] = [];
-        grouped[key].push(row);
-    });
-
-    const sortedKeys = Object.keys(grouped).sort();
-
-    let cumulative = { outs: 0, er: 0, bb: 0, hbp: 0, h: 0, so: 0 };
-    
-    return sortedKeys.map(key => {
-        const periodRows = grouped[key];
-        const periodStats = periodRows.reduce((acc, row) => {
-            acc.outs += (row['アウト数'] || 0);
-            acc.er += (row['自責点'] || 0);
-            acc.bb += (row['四球'] || 0);
-            acc.hbp += (row['死球'] || 0);
-            acc.h += (row['安打'] || 0);
-            acc.so += (row['三振'] || 0);
-            acc.pitches += (row['球数'] || 0);
-            acc.strikes += (row['S数'] || 0);
-            return acc;
-        }, { outs: 0, er: 0, bb: 0, hbp: 0, h: 0, so: 0, pitches: 0, strikes: 0 });
-
-        Object.keys(cumulative).forEach(statKey => {
-            cumulative[statKey] += periodStats[statKey];
-        });
-
-        const era = safeDiv(cumulative.er * 7, cumulative.outs / 3);
-        const whip = safeDiv(cumulative.bb + cumulative.hbp + cumulative.h, cumulative.outs / 3);
-        const kbb = safeDiv(cumulative.so, cumulative.bb);
-        const kPer7 = safeDiv(cumulative.so * 7, cumulative.outs / 3);
-        const bbPer7 = safeDiv((cumulative.bb + cumulative.hbp) * 7, cumulative.outs / 3);
-
-        const innings = periodStats.outs / 3;
-        const strikeRate = safeDiv(periodStats.strikes, periodStats.pitches) * 100;
-        
-        let opponent = '';
-        if (trendPeriod === 'game' && periodRows.length > 0) {
-            const row = periodRows[0];
-            const homeTeam = row['後攻'] || '';
-            const awayTeam = row['先攻'] || '';
-            const isHomeArinko = homeTeam.includes('ありんこ') || homeTeam.includes('アントス');
-            opponent = isHomeArinko ? awayTeam : homeTeam;
-        }
-
-        return {
-            periodKey: key,
-            opponent: opponent,
-            era: Number(era.toFixed(2)),
-            whip: Number(whip.toFixed(2)),
-            kbb: Number(kbb.toFixed(2)),
-            innings: Number(innings.toFixed(1)),
-            kPer7: Number(kPer7.toFixed(2)),
-            bbPer7: Number(bbPer7.toFixed(2)),
-            strikeRate: Number(strikeRate.toFixed(1)),
-            bb: periodStats.bb,
-            hbp: periodStats.hbp,
-            pitches: periodStats.pitches
-        };
-    });
-  }, [filteredPitchingData, selectedPlayerId, trendTarget, trendType, trendPeriod]);
+  }, [filteredBattingData, filteredPitchingData, trendTarget, trendPeriod, rollingWindow, teamSettings, ruleSettings]);
 
   // --- Comparison & Ranking Logic ---
 
@@ -826,66 +2618,107 @@ export default function App() {
       let data = [];
       const isPitching = comparisonDataType === 'pitching';
 
+      // In adjusted mode rate stats rank by the shrunk rate, with the Wilson interval as error bars
+      const adjust = (p, entry) => {
+          if (!showAdjusted || !p.interval?.[comparisonMetric]) return entry;
+          const value = p.adjusted[comparisonMetric];
+          const { low, high } = p.interval[comparisonMetric];
+          return {
+              ...entry,
+              value,
+              displayValue: `${formatMetric(comparisonMetric, value)} (実績 ${entry.displayValue})`,
+              errorRange: [Math.max(0, value - low), Math.max(0, high - value)],
+          };
+      };
+
       if (isPitching) {
-          data = aggregatedPitching
-            .filter(p => p.inningsVal >= comparisonMinPA)
+          data = qualifiedPitching
             .map(p => {
                 const value = (comparisonMetric === 'displayInnings') ? p.inningsVal : p[comparisonMetric];
-                let displayValue = p[comparisonMetric];
-                if (typeof displayValue === 'number' && !Number.isInteger(displayValue)) {
-                    displayValue = displayValue.toFixed(2);
-                }
-                return { name: p.name, value, displayValue };
+                const displayValue = formatMetric(comparisonMetric, p[comparisonMetric]);
+                return adjust(p, { id: p.id, name: qualifiedName(p), value, displayValue });
             });
       } else {
-          data = aggregatedBatting
-            .filter(p => p.pa >= comparisonMinPA)
+          data = qualifiedBatting
             .map(p => {
                 const value = p[comparisonMetric];
-                let displayValue = value;
-                if (['avg', 'obp'].includes(comparisonMetric)) {
-                    displayValue = formatRate(value);
-                } else if (typeof value === 'number' && !Number.isInteger(value)) {
-                    displayValue = value.toFixed(3);
-                }
-                return { name: p.name, value, displayValue };
+                const displayValue = formatMetric(comparisonMetric, value);
+                return adjust(p, { id: p.id, name: qualifiedName(p), value, displayValue });
             });
       }
       
+      // Players without a value (e.g. no RISP at-bats) are left out rather than ranked as 0
+      data = data.filter(entry => entry.value !== null && entry.value !== undefined);
+
       // Sort logic
-      // Lower is better for ERA, WHIP
-      if (['era', 'whip'].includes(comparisonMetric)) {
+      // Lower is better for ERA, WHIP, ...
+      if (ASCENDING_METRICS.includes(comparisonMetric)) {
           data.sort((a, b) => (a.value ?? Infinity) - (b.value ?? Infinity));
       } else {
           data.sort((a, b) => (b.value ?? -Infinity) - (a.value ?? -Infinity));
       }
       return data;
-  }, [aggregatedBatting, aggregatedPitching, comparisonMetric, comparisonMinPA, comparisonDataType]);
+  }, [qualifiedBatting, qualifiedPitching, comparisonMetric, comparisonDataType, showAdjusted]);
 
   const comparisonScatterData = useMemo(() => {
       if (comparisonDataType === 'pitching') {
-          return aggregatedPitching
-            .filter(p => p.inningsVal >= comparisonMinPA)
+          return qualifiedPitching
             .map(p => ({
-                name: p.name,
+                id: p.id,
+                name: qualifiedName(p),
                 x: p[scatterX],
                 y: p[scatterY],
                 z: p.inningsVal
-            }));
+            }))
+            .filter(point => point.x !== null && point.y !== null);
       }
       // Default to batting
-      return aggregatedBatting
-          .filter(p => p.pa >= comparisonMinPA)
+      return qualifiedBatting
           .map(p => ({
-              name: p.name,
+              id: p.id,
+              name: qualifiedName(p),
               x: p[scatterX],
               y: p[scatterY],
               z: p.ops
-          }));
-  }, [aggregatedBatting, aggregatedPitching, comparisonMinPA, scatterX, scatterY, comparisonDataType]);
+          }))
+          .filter(point => point.x !== null && point.y !== null);
+  }, [qualifiedBatting, qualifiedPitching, scatterX, scatterY, comparisonDataType]);
+
+  // Lines, team-percentile radar and cumulative trend for the players picked in the head-to-head mode
+  const headToHeadData = useMemo(() => {
+    if (comparisonChartType !== 'head-to-head') return null;
+    const isPitching = comparisonDataType === 'pitching';
+    const everyone = isPitching ? rolePitching : aggregatedBatting;
+    const players = comparePlayerIds.map(id => everyone.find(p => p.id === id)).filter(Boolean);
+    const pool = everyone.filter(p => isPitching ? p.inningsVal >= qualification.minInnings : p.pa >= qualification.minPA);
+
+    const radar = RADAR_AXES[comparisonDataType].map(axis => {
+      const values = pool.map(axis.value);
+      return { axis: axis.label, ...Object.fromEntries(players.map(p => [p.id, percentileScore(axis.value(p), values, axis.ascending)])) };
+    });
+
+    // One row per game with each player's running OPS (or ERA) under their id
+    const trendByKey = new Map();
+    players.forEach(player => {
+      const trend = isPitching
+        ? cumulativePitchingTrend(filteredPitchingData.filter(r => playerKey(r) === player.id && (pitchingRole === 'all' || getPitchingRole(r) === pitchingRole)), 'gameId', teamSettings, ruleSettings)
+        : cumulativeBattingTrend(filteredBattingData.filter(r => playerKey(r) === player.id), 'gameId', teamSettings);
+      trend.forEach(point => {
+        if (!trendByKey.has(point.periodKey)) trendByKey.set(point.periodKey, { periodKey: point.periodKey });
+        trendByKey.get(point.periodKey)[player.id] = isPitching ? point.era : point.ops;
+      });
+    });
+    const trend = Array.from(trendByKey.values()).sort((a, b) => a.periodKey.localeCompare(b.periodKey));
+
+    return { players, radar, trend, poolSize: pool.length };
+  }, [comparisonChartType, comparisonDataType, comparePlayerIds, aggregatedBatting, rolePitching, qualification, filteredBattingData, filteredPitchingData, pitchingRole, teamSettings, ruleSettings]);
 
   // --- Render Sub-Components ---
 
+  const PlayerLink = ({ id, name }) => (
+    <button onClick={() => openPlayer(id)} className="text-left hover:text-primary-600 hover:underline">{name}</button>
+  );
+
   const FilterPanel = () => (
     <Card className="mb-6 border border-blue-100 bg-blue-50">
         <div className="flex flex-col md:flex-row md:items-end gap-4">
@@ -908,19 +2741,18 @@ export default function App() {
                 </div>
             </div>
             <div className="flex-1">
-                <label className="block text-xs font-semibold text-gray-500 mb-1">チーム名（部分一致）</label>
-                <div className="relative">
-                    <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
-                        <Search size={14} className="text-gray-400" />
-                    </div>
-                    <input 
-                        type="text" 
-                        placeholder="A軍, B軍 (正規表現可)" 
-                        value={draftFilters.teamKeyword}
-                        onChange={e => setDraftFilters({...draftFilters, teamKeyword: e.target.value})}
-                        className="block w-full pl-10 rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm p-2 border"
-                    />
-                </div>
+                <label className="block text-xs font-semibold text-gray-500 mb-1">チーム区分</label>
+                <select 
+                    value={draftFilters.squad}
+                    onChange={e => setDraftFilters({...draftFilters, squad: e.target.value})}
+                    className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm p-2 border bg-white"
+                >
+                    <option value="all">全て</option>
+                    {teamSettings.squads.map(s => (
+                        <option key={s.name} value={s.name}>{s.name}</option>
+                    ))}
+                    <option value="none">区分なし</option>
+                </select>
             </div>
             <div className="flex-1">
                 <label className="block text-xs font-semibold text-gray-500 mb-1">大会・カテゴリ</label>
@@ -960,17 +2792,36 @@ export default function App() {
         <Database className="mx-auto h-12 w-12 text-primary-500" />
         <h3 className="mt-2 text-lg font-medium text-gray-900">データをインポート</h3>
         <p className="mt-1 text-sm text-gray-500">
-          `scorer_stats_raw_*.csv` ファイルを選択してください。（複数選択可）
+          `scorer_stats_raw_*.csv` ファイル、それらをまとめたZIPファイル、またはExcelブック (.xlsx) を選択してください。（複数選択可）
         </p>
         <div className="mt-6 flex justify-center flex-col items-center gap-4">
-          <label className="relative cursor-pointer bg-primary-600 rounded-md font-medium text-white hover:bg-primary-700 px-6 py-2 shadow-sm transition-all">
-            <span>ファイルを選択</span>
-            <input 
-              id="file-upload" 
-              name="file-upload" type="file" className="sr-only" multiple accept=".csv"
-              onChange={handleFileUpload}
-            />
-          </label>
+          <div className="flex space-x-2 bg-gray-100 p-1 rounded-lg">
+            <button 
+              onClick={() => setImportMode('merge')}
+              className={`px-4 py-2 rounded-md text-sm font-medium transition-all ${importMode === 'merge' ? 'bg-white text-primary-600 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}
+            >追加・更新</button>
+            <button 
+              onClick={() => setImportMode('replace')}
+              className={`px-4 py-2 rounded-md text-sm font-medium transition-all ${importMode === 'replace' ? 'bg-white text-primary-600 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}
+            >全て置き換え</button>
+          </div>
+          <p className="text-xs text-gray-400">
+            {importMode === 'merge'
+              ? '既存データに追加します。同じ試合ID・選手IDの行は新しい内容で更新されます。'
+              : '読み込んだファイルの内容で既存データを置き換えます。'}
+          </p>
+          <div className={`w-full max-w-lg border-2 border-dashed rounded-lg p-6 flex flex-col items-center gap-3 transition-colors ${isDragging ? 'border-primary-500 bg-primary-50' : 'border-gray-300'}`}>
+            <Upload className="h-8 w-8 text-gray-400" />
+            <p className="text-sm text-gray-500">ここにファイルをドラッグ＆ドロップ（CSV・ZIP・Excel、打撃・投手の混在可）</p>
+            <label className="relative cursor-pointer bg-primary-600 rounded-md font-medium text-white hover:bg-primary-700 px-6 py-2 shadow-sm transition-all">
+              <span>ファイルを選択</span>
+              <input 
+                id="file-upload" 
+                name="file-upload" type="file" className="sr-only" multiple accept=".csv,.zip,.xlsx"
+                onChange={handleFileUpload}
+              />
+            </label>
+          </div>
           {importStatus && <span className="text-sm text-primary-600 font-semibold animate-pulse">{importStatus}</span>}
         </div>
         
@@ -978,8 +2829,188 @@ export default function App() {
             <p className="text-xs text-gray-400 mb-2">※ 初期状態に戻すには「データをクリア」を押してください</p>
         </div>
       </div>
+      {pendingMapping && (
+        <div className="mt-6 pt-4 border-t space-y-4">
+          <div className="flex flex-wrap justify-between items-center gap-2">
+            <div>
+              <h4 className="text-sm font-bold text-gray-700">列マッピング</h4>
+              <p className="text-xs text-gray-400">見出しが標準の列名と異なるファイルがあります。各列がどの項目に当たるかを選んでください。</p>
+            </div>
+            <div className="flex gap-2">
+              <button 
+                onClick={cancelImport}
+                className="px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              >キャンセル</button>
+              <button 
+                onClick={() => finishColumnMapping(true)}
+                className="px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-primary-700 bg-white hover:bg-gray-50"
+              >保存して続行</button>
+              <button 
+                onClick={() => finishColumnMapping(false)}
+                className="px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700"
+              >続行</button>
+            </div>
+          </div>
+          {pendingMapping.items.map(item => (
+            <div key={item.key} className="border rounded-md p-3 text-sm space-y-3">
+              <div className="flex flex-wrap justify-between items-center gap-2">
+                <span className="font-medium text-gray-800 truncate">{item.sourceNames.join(', ')}</span>
+                <select
+                  value={item.type}
+                  onChange={e => updateMappingItem(item.key, { type: e.target.value, mapping: e.target.value === 'skip' ? item.mapping : suggestMapping(item.unknown, e.target.value) })}
+                  className="p-1 border rounded-md text-sm bg-white"
+                >
+                  <option value="batting">打撃データ</option>
+                  <option value="pitching">投手データ</option>
+                  <option value="skip">読み込まない</option>
+                </select>
+              </div>
+              {item.type !== 'skip' && (
+                <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2">
+                  {item.unknown.map(header => (
+                    <label key={header} className="flex items-center justify-between gap-2 bg-gray-50 rounded px-2 py-1">
+                      <span className="text-gray-700 truncate" title={header}>{header}</span>
+                      <select
+                        value={item.mapping[header] || ''}
+                        onChange={e => updateMappingItem(item.key, { mapping: { ...item.mapping, [header]: e.target.value } })}
+                        className={`p-1 border rounded text-xs bg-white ${item.mapping[header] ? 'text-gray-900' : 'text-gray-400'}`}
+                      >
+                        <option value="">（使わない）</option>
+                        {(item.type === 'batting' ? BATTING_COLUMNS : PITCHING_COLUMNS).map(c => <option key={c} value={c}>{c}</option>)}
+                      </select>
+                    </label>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+      {pendingImport && (
+        <div className="mt-6 pt-4 border-t space-y-4">
+          <div className="flex justify-between items-center">
+            <h4 className="text-sm font-bold text-gray-700">
+              取り込み内容の確認（{pendingImport.mode === 'merge' ? '追加・更新' : '全て置き換え'}）
+            </h4>
+            <div className="flex gap-2">
+              <button 
+                onClick={cancelImport}
+                className="px-4 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+              >キャンセル</button>
+              <button 
+                onClick={confirmImport}
+                disabled={!pendingImport.batting && !pendingImport.pitching}
+                className="px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-primary-600 hover:bg-primary-700 disabled:opacity-50"
+              >取り込む</button>
+            </div>
+          </div>
+          {[['打撃', pendingImport.batting], ['投手', pendingImport.pitching]].filter(([, p]) => p).map(([label, p]) => (
+            <div key={label} className="border rounded-md p-3 text-sm space-y-2">
+              <p className="font-bold text-gray-800">{label}データ</p>
+              {[['試合', p.summary.games, g => `${g.date} ${g.label}`], ['選手', p.summary.players, pl => `${pl.number ?? ''} ${pl.name}`]].map(([kind, groups, format]) => (
+                <div key={kind} className="space-y-1">
+                  {[['added', '追加', 'text-green-700 bg-green-50'], ['changed', '更新', 'text-amber-700 bg-amber-50'], ['unchanged', '変更なし', 'text-gray-500 bg-gray-50']].map(([status, statusLabel, color]) => (
+                    groups[status].length > 0 && (
+                      <details key={status} className={`rounded px-2 py-1 ${color}`}>
+                        <summary className="cursor-pointer text-xs font-semibold">{kind} {statusLabel}: {groups[status].length}件</summary>
+                        <ul className="mt-1 text-xs space-y-0.5">
+                          {groups[status].map(item => <li key={item.id}>{format(item)}</li>)}
+                        </ul>
+                      </details>
+                    )
+                  ))}
+                </div>
+              ))}
+              {p.removedGames > 0 && (
+                <p className="text-xs text-red-600">読み込んだファイルに含まれない {p.removedGames} 試合分のデータは削除されます。</p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+      {importReport.length > 0 && (
+        <div className="mt-6 pt-4 border-t space-y-3">
+          <h4 className="text-sm font-bold text-gray-700">インポート結果</h4>
+          {importReport.map(file => (
+            <div key={file.fileName} className="border rounded-md p-3 bg-gray-50">
+              <div className="flex justify-between items-center text-sm">
+                <span className="font-medium text-gray-800 truncate pr-2">{file.fileName}</span>
+                <span className="text-xs text-gray-500 whitespace-nowrap">
+                  {file.type === 'batting' ? '打撃' : file.type === 'pitching' ? '投手' : '不明'} / {file.rowCount}行
+                </span>
+              </div>
+              {file.issues.length > 0 ? (
+                <ul className="mt-2 space-y-1 text-xs max-h-48 overflow-y-auto">
+                  {file.issues.map((issue, idx) => (
+                    <li key={idx} className={`flex items-start ${issue.level === 'error' ? 'text-red-600' : issue.level === 'warning' ? 'text-amber-600' : 'text-gray-500'}`}>
+                      <AlertCircle size={12} className="mr-1 mt-0.5 flex-shrink-0" />
+                      <span>
+                        {issue.line ? `${issue.line}行目: ` : ''}
+                        {issue.level === 'error' ? '[除外] ' : issue.level === 'warning' ? '[確認] ' : ''}
+                        {issue.message}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              ) : (
+                <p className="mt-1 text-xs text-green-600">問題は見つかりませんでした</p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+      {columnMappings.length > 0 && (
+        <div className="mt-6 pt-4 border-t">
+          <h4 className="text-sm font-bold text-gray-700 mb-2">保存済みの列マッピング</h4>
+          <ul className="space-y-1 text-sm">
+            {columnMappings.map(p => (
+              <li key={p.id} className="flex justify-between items-center bg-gray-50 rounded px-2 py-1">
+                <span className="truncate pr-2">
+                  {p.name}
+                  <span className="ml-2 text-xs text-gray-400">
+                    {p.type === 'batting' ? '打撃' : '投手'} / {Object.entries(p.mapping).filter(([, v]) => v).map(([k, v]) => `${k}→${v}`).join(', ')}
+                  </span>
+                </span>
+                <button onClick={() => deleteColumnMapping(p.id)} className="text-xs text-red-500 hover:text-red-700 whitespace-nowrap">削除</button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      <div className="mt-6 pt-4 border-t flex flex-wrap justify-between items-center gap-2">
+        <div>
+          <h4 className="text-sm font-bold text-gray-700">バックアップ</h4>
+          <p className="text-xs text-gray-400">全データセット・最終更新日時・フィルタなどの設定を1つのファイルに保存します。</p>
+        </div>
+        <div className="flex gap-2">
+          <button 
+            onClick={exportBackup}
+            className="flex items-center px-3 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50"
+          >
+            <Save size={14} className="mr-2" />
+            エクスポート
+          </button>
+          <label className="flex items-center cursor-pointer px-3 py-2 border border-gray-300 shadow-sm text-sm font-medium rounded-md text-gray-700 bg-white hover:bg-gray-50">
+            <Upload size={14} className="mr-2" />
+            復元
+            <input type="file" className="sr-only" accept=".json,application/json" onChange={handleBackupRestore} />
+          </label>
+        </div>
+      </div>
+      <div className="mt-6 pt-4 border-t flex flex-wrap justify-between items-center gap-2">
+        <span className="text-sm text-gray-700">
+          データセット: <strong>{datasets.find(d => d.id === activeDatasetId)?.name || '-'}</strong>
+        </span>
+        <div className="flex gap-3 text-xs">
+          <button onClick={createDataset} className="text-primary-600 hover:text-primary-800">新規作成</button>
+          <button onClick={renameDataset} className="text-primary-600 hover:text-primary-800">名前を変更</button>
+          {datasets.length > 1 && (
+            <button onClick={removeDataset} className="text-red-500 hover:text-red-700">データセットを削除</button>
+          )}
+        </div>
+      </div>
       {lastUpdated && (
-        <div className="mt-6 pt-4 border-t flex justify-between items-center">
+        <div className="mt-4 pt-4 border-t flex justify-between items-center">
           <span className="text-xs text-gray-400">最終更新: {lastUpdated}</span>
           <button 
             onClick={clearData}
@@ -993,6 +3024,235 @@ export default function App() {
     </div>
   );
 
+  const TeamSettingsPanel = () => {
+    const teamNames = new Set();
+    [...battingData, ...pitchingData].forEach(row => {
+      if (row['先攻']) teamNames.add(row['先攻']);
+      if (row['後攻']) teamNames.add(row['後攻']);
+    });
+    const allTeams = Array.from(teamNames).filter(n => isOwnTeam(n, teamSettings)).sort();
+
+    return (
+      <Card>
+        <h3 className="text-lg font-bold text-gray-700 mb-2">チーム設定</h3>
+        <p className="text-xs text-gray-400 mb-4">自チームの判定（対戦相手・先攻/後攻の判別）と、A軍・B軍などのチーム区分の判定に使います。</p>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div>
+            <div className="flex justify-between items-center mb-2">
+              <h4 className="text-sm font-bold text-gray-700">自チーム名（部分一致）</h4>
+              <button onClick={addTeamPattern} className="text-xs text-primary-600 hover:text-primary-800">追加</button>
+            </div>
+            <ul className="flex flex-wrap gap-2">
+              {teamSettings.namePatterns.map(p => (
+                <li key={p} className="flex items-center bg-primary-50 text-primary-700 text-sm rounded-full px-3 py-1">
+                  {p}
+                  <button onClick={() => removeTeamPattern(p)} className="ml-1 text-primary-400 hover:text-red-500"><X size={12} /></button>
+                </li>
+              ))}
+            </ul>
+            <p className="text-xs text-gray-400 mt-3">自チームと判定されたチーム名: {allTeams.length > 0 ? allTeams.join(', ') : 'なし'}</p>
+          </div>
+          <div>
+            <div className="flex justify-between items-center mb-2">
+              <h4 className="text-sm font-bold text-gray-700">チーム区分</h4>
+              <button onClick={addSquad} className="text-xs text-primary-600 hover:text-primary-800">追加</button>
+            </div>
+            <ul className="space-y-1 text-sm">
+              {teamSettings.squads.map(s => (
+                <li key={s.name} className="flex justify-between items-center bg-gray-50 rounded px-2 py-1">
+                  <span><strong>{s.name}</strong><span className="ml-2 text-xs text-gray-400">チーム名に「{s.pattern}」を含む試合</span></span>
+                  <button onClick={() => removeSquad(s.name)} className="text-xs text-red-500 hover:text-red-700">削除</button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      </Card>
+    );
+  };
+
+  const RuleProfilesPanel = () => {
+    const titles = Array.from(new Set([...battingData, ...pitchingData].map(row => row['タイトル']).filter(Boolean))).sort();
+
+    return (
+      <Card>
+        <h3 className="text-lg font-bold text-gray-700 mb-2">大会ルール</h3>
+        <p className="text-xs text-gray-400 mb-4">防御率・奪三振率などは、試合ごとに「タイトル」に割り当てたルールの規定イニングで換算します。</p>
+        <div className="flex justify-between items-center mb-2">
+          <h4 className="text-sm font-bold text-gray-700">ルール一覧</h4>
+          <button onClick={addRuleProfile} className="text-xs text-primary-600 hover:text-primary-800">追加</button>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-gray-500 border-b">
+                <th className="py-2 pr-4">ルール名</th>
+                <th className="py-2 pr-4">規定イニング</th>
+                <th className="py-2 pr-4">球数制限</th>
+                <th className="py-2 pr-4">DH</th>
+                <th className="py-2 pr-4">自由交代</th>
+                <th className="py-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {ruleSettings.profiles.map(p => (
+                <tr key={p.id} className="border-b last:border-0">
+                  <td className="py-2 pr-4">
+                    <button onClick={() => { const name = window.prompt("ルール名を入力してください", p.name); if (name && name.trim()) updateRuleProfile(p.id, { name: name.trim() }); }} className="text-gray-800 hover:text-primary-600">{p.name}</button>
+                    {p.id === ruleSettings.defaultProfileId && <span className="ml-2 text-xs text-gray-400">既定</span>}
+                  </td>
+                  <td className="py-2 pr-4">
+                    <select value={p.innings} onChange={(e) => updateRuleProfile(p.id, { innings: Number(e.target.value) })} className="border border-gray-300 rounded-md p-1 text-sm">
+                      {[3, 4, 5, 6, 7, 9].map(n => <option key={n} value={n}>{n}回</option>)}
+                    </select>
+                  </td>
+                  <td className="py-2 pr-4">
+                    <select value={p.pitchLimit || 0} onChange={(e) => updateRuleProfile(p.id, { pitchLimit: Number(e.target.value) })} className="border border-gray-300 rounded-md p-1 text-sm">
+                      <option value={0}>なし</option>
+                      {[40, 50, 60, 70, 80, 85, 100].map(n => <option key={n} value={n}>{n}球</option>)}
+                    </select>
+                  </td>
+                  <td className="py-2 pr-4"><input type="checkbox" checked={p.dh} onChange={(e) => updateRuleProfile(p.id, { dh: e.target.checked })} /></td>
+                  <td className="py-2 pr-4"><input type="checkbox" checked={p.freeSubstitution} onChange={(e) => updateRuleProfile(p.id, { freeSubstitution: e.target.checked })} /></td>
+                  <td className="py-2 text-right whitespace-nowrap">
+                    {p.id !== ruleSettings.defaultProfileId && (
+                      <>
+                        <button onClick={() => setRuleSettings({ ...ruleSettings, defaultProfileId: p.id })} className="text-xs text-primary-600 hover:text-primary-800 mr-3">既定にする</button>
+                        <button onClick={() => removeRuleProfile(p.id)} className="text-xs text-red-500 hover:text-red-700">削除</button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <h4 className="text-sm font-bold text-gray-700 mt-6 mb-2">タイトルごとのルール</h4>
+        {titles.length === 0 ? (
+          <p className="text-xs text-gray-400">データに「タイトル」がありません。すべての試合に既定のルールを使います。</p>
+        ) : (
+          <ul className="space-y-1 text-sm">
+            {titles.map(title => (
+              <li key={title} className="flex justify-between items-center bg-gray-50 rounded px-2 py-1">
+                <span className="truncate pr-2">{title}</span>
+                <select value={ruleSettings.titleProfiles[title] || ruleSettings.defaultProfileId} onChange={(e) => setTitleProfile(title, e.target.value)} className="border border-gray-300 rounded-md p-1 text-sm">
+                  {ruleSettings.profiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+                </select>
+              </li>
+            ))}
+          </ul>
+        )}
+      </Card>
+    );
+  };
+
+  const RosterPanel = () => (
+    <Card>
+      <div className="flex justify-between items-center mb-2">
+        <h3 className="text-lg font-bold text-gray-700">選手名簿</h3>
+        <span className="text-xs text-gray-400">{rosterPlayers.length}名</span>
+      </div>
+      <p className="text-xs text-gray-400 mb-3">同じ選手が別の選手IDで登録されている場合は「統合先」を選ぶと、全ての集計・推移・ランキングで1人の選手として扱われます。背番号の変更履歴は試合日付から自動で作成されます。</p>
+      <div className="overflow-x-auto max-h-[32rem] overflow-y-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50 sticky top-0">
+            <tr>
+              <th className="px-3 py-2 text-left font-bold text-gray-500">#</th>
+              <th className="px-3 py-2 text-left font-bold text-gray-500">表示名</th>
+              <th className="px-3 py-2 text-left font-bold text-gray-500">選手ID</th>
+              <th className="px-3 py-2 text-left font-bold text-gray-500">背番号の履歴</th>
+              <th className="px-3 py-2 text-left font-bold text-gray-500">試合</th>
+              <th className="px-3 py-2 text-left font-bold text-gray-500">統合先</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {rosterPlayers.map(player => (
+              <tr key={player.id} className="hover:bg-gray-50 align-top">
+                <td className="px-3 py-2 whitespace-nowrap text-gray-500">{player.number}</td>
+                <td className="px-3 py-2 whitespace-nowrap">
+                  <button onClick={() => renamePlayer(player)} className="font-medium text-gray-900 hover:text-primary-600" title="表示名を変更">
+                    {player.name}
+                  </button>
+                  {player.names.length > 1 && <p className="text-xs text-gray-400">別名: {player.names.filter(n => n !== player.name).join(', ')}</p>}
+                </td>
+                <td className="px-3 py-2 text-xs text-gray-600">
+                  {player.sourceKeys.map(key => (
+                    <div key={key} className="flex items-center gap-1 whitespace-nowrap">
+                      <span>{key}</span>
+                      {key !== player.id && (
+                        <button onClick={() => unmergePlayer(key)} className="text-red-500 hover:text-red-700" title="統合を解除">
+                          <X size={12} />
+                        </button>
+                      )}
+                    </div>
+                  ))}
+                </td>
+                <td className="px-3 py-2 text-xs text-gray-600">
+                  {player.numberHistory.map((h, idx) => (
+                    <div key={idx} className="whitespace-nowrap">#{h.number} ({h.from}〜{idx === player.numberHistory.length - 1 ? '' : h.to})</div>
+                  ))}
+                </td>
+                <td className="px-3 py-2 text-gray-600">{player.games}</td>
+                <td className="px-3 py-2">
+                  <select
+                    value=""
+                    onChange={e => mergePlayer(player.id, e.target.value)}
+                    className="p-1 border rounded text-xs bg-white"
+                  >
+                    <option value="">—</option>
+                    {rosterPlayers.filter(p => p.id !== player.id).map(p => (
+                      <option key={p.id} value={p.id}>{p.number} - {p.name}</option>
+                    ))}
+                  </select>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </Card>
+  );
+
+  const DataQualityPanel = () => (
+    <Card>
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-lg font-bold text-gray-700">データ品質</h3>
+        <span className={`text-xs font-semibold px-2 py-1 rounded-full ${dataQualityIssues.length > 0 ? 'bg-amber-100 text-amber-700' : 'bg-green-100 text-green-700'}`}>
+          {dataQualityIssues.length > 0 ? `要確認 ${dataQualityIssues.length}件` : '問題なし'}
+        </span>
+      </div>
+      <p className="text-xs text-gray-400 mb-3">保存されている成績の各行について、安打の内訳・打席数の合計・S数と球数・自責点と失点などの整合性と、試合ごとの公式スコアと選手成績の合計の一致をチェックしています。</p>
+      {dataQualityIssues.length > 0 ? (
+        <div className="overflow-x-auto max-h-96 overflow-y-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr>
+                <th className="px-3 py-2 text-left font-bold text-gray-500">日付</th>
+                <th className="px-3 py-2 text-left font-bold text-gray-500">試合ID</th>
+                <th className="px-3 py-2 text-left font-bold text-gray-500">種別</th>
+                <th className="px-3 py-2 text-left font-bold text-gray-500">選手</th>
+                <th className="px-3 py-2 text-left font-bold text-gray-500">内容</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {dataQualityIssues.map((issue, idx) => (
+                <tr key={idx} className="hover:bg-gray-50">
+                  <td className="px-3 py-2 whitespace-nowrap text-gray-500">{issue.date}</td>
+                  <td className="px-3 py-2 whitespace-nowrap text-gray-500">{issue.gameId}</td>
+                  <td className="px-3 py-2 whitespace-nowrap text-gray-600">{{ batting: '打撃', pitching: '投手', game: '試合' }[issue.type]}</td>
+                  <td className="px-3 py-2 whitespace-nowrap font-medium text-gray-900">{issue.name}</td>
+                  <td className="px-3 py-2 text-amber-700">{issue.message}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-400 text-center py-4">整合性の問題は見つかりませんでした</p>
+      )}
+    </Card>
+  );
+
   const DashboardView = () => (
     <div className="space-y-6">
       <FilterPanel />
@@ -1000,7 +3260,7 @@ export default function App() {
         <StatCard title="集計試合数" value={teamStats?.totalGames || 0} icon={Activity} color="indigo" />
         <StatCard title="チーム打率" value={teamStats?.teamAvg || ".000"} subValue={`${aggregatedBatting.reduce((a,c)=>a+c.h,0)}安打`} icon={TrendingUp} color="green" />
         <StatCard title="総得点" value={teamStats?.totalR || 0} subValue={`本塁打: ${teamStats?.totalHR || 0}`} icon={Award} color="yellow" />
-        <StatCard title="チーム防御率" value={teamStats?.teamERA || "0.00"} subValue="（7回換算）" icon={AlertCircle} color="red" />
+        <StatCard title="チーム防御率" value={teamStats?.teamERA || "0.00"} subValue={ruleInnings.values.length === 1 ? `（${ruleInnings.values[0]}回換算）` : '（各試合の規定回換算）'} icon={AlertCircle} color="red" />
       </div>
 
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
@@ -1077,7 +3337,7 @@ export default function App() {
                         return null;
                     }} />
                     <Legend />
-                    <Scatter name="選手" data={aggregatedBatting.filter(p => p.pa >= 5).map(p => ({ name: p.name, x: p.obp, y: p.slg, z: p.ops }))} fill="#f59e0b">
+                    <Scatter name="選手" data={aggregatedBatting.filter(p => p.pa >= 5).map(p => ({ id: p.id, name: p.name, x: p.obp, y: p.slg, z: p.ops }))} fill="#f59e0b" onClick={(point) => openPlayer((point.payload || point).id)} className="cursor-pointer">
                         {showHomeScatterLabels && <LabelList dataKey="name" position="top" style={{ fontSize: '10px' }} />}
                     </Scatter>
                     <ReferenceLine x={0.3} stroke="red" strokeDasharray="3 3" label="出塁率.300" />
@@ -1092,7 +3352,7 @@ export default function App() {
           <h3 className="text-lg font-bold text-gray-700 mb-4">試合別 得失点と勝率推移</h3>
           {gameByGameStats.length > 0 ? (
             <ResponsiveContainer width="100%" height="90%">
-              <ComposedChart data={gameByGameStats} margin={{ top: 5, right: 20, left: 0, bottom: 40 }}>
+              <ComposedChart data={gameByGameStats} margin={{ top: 5, right: 20, left: 0, bottom: 40 }} onClick={(state) => state?.activePayload?.length && openGame(state.activePayload[0].payload.id)} className="cursor-pointer">
                 <CartesianGrid strokeDasharray="3 3" />
                 <XAxis dataKey="label" tick={{fontSize: 10}} angle={-45} textAnchor="end" height={70} interval={'preserveStartEnd'} />
                 <YAxis yAxisId="left" orientation="left" stroke="#8884d8" label={{ value: '得失点', angle: -90, position: 'insideLeft' }} />
@@ -1111,6 +3371,7 @@ export default function App() {
                                 {runsScoredPayload && <p style={{color: runsScoredPayload.color}}>得点: {data.runsScored}</p>}
                                 {runsAllowedPayload && <p style={{color: runsAllowedPayload.color}}>失点: {data.runsAllowed}</p>}
                                 {winningPercentagePayload && <p style={{color: winningPercentagePayload.color}}>勝率: {formatRate(data.winningPercentage)}</p>}
+                                <p className="text-xs text-gray-400 mt-1">クリックで試合詳細</p>
                             </div>
                         );
                     }
@@ -1130,29 +3391,38 @@ export default function App() {
     </div>
   );
 
-const AllRankingsView = ({ battingData, pitchingData, minPA, minInnings, showAll }) => {
+const AllRankingsView = ({ battingData, pitchingData, showAll, onPlayerClick }) => {
     const RankingList = ({ title, data, dataKey, displayKey, isAsc = false, top = 10, formatFunc }) => {
-        const sortedData = [...data]
+        const sortedData = data
+            .filter(item => item[dataKey] !== null && item[dataKey] !== undefined)
             .sort((a, b) => {
                 const valA = a[dataKey] ?? (isAsc ? Infinity : -Infinity);
                 const valB = b[dataKey] ?? (isAsc ? Infinity : -Infinity);
                 return isAsc ? valA - valB : valB - valA;
             })
             .slice(0, showAll ? undefined : top);
+        // Only the rate stats are shrunk, so only those lists carry the adjusted label
+        const isAdjusted = data.some(item => item.raw?.adjusted?.[dataKey] !== undefined);
 
         return (
             <div className="p-4 border rounded-lg bg-gray-50 h-full">
-                <h4 className="font-bold text-md text-gray-800 mb-3 border-b pb-2">{title}</h4>
+                <h4 className="font-bold text-md text-gray-800 mb-3 border-b pb-2">
+                    {title}
+                    {isAdjusted && <span className="ml-1 text-xs font-normal text-gray-500">（調整後）</span>}
+                </h4>
                 {sortedData.length > 0 ? (
                     <ul className="space-y-2">
                         {sortedData.map((item, index) => (
-                            <li key={item.id || item.name} className="flex justify-between items-center text-sm hover:bg-gray-100 p-1 rounded">
-                                <span className="truncate pr-2">
+                            <li key={item.id || item.name} onClick={() => onPlayerClick(item.id)} className="flex justify-between items-center text-sm hover:bg-gray-100 p-1 rounded cursor-pointer">
+                                <span className={item.qualified === false ? 'truncate pr-2 text-gray-400' : 'truncate pr-2'}>
                                     <span className="text-gray-500 w-6 inline-block">{index + 1}.</span>
-                                    {item.name}
+                                    {qualifiedName(item)}
                                 </span>
-                                <span className="font-bold text-primary-600">
+                                <span className="font-bold text-primary-600 whitespace-nowrap">
                                     {formatFunc ? formatFunc(item[displayKey]) : item[displayKey]}
+                                    {item.raw && item.raw[displayKey] !== item[displayKey] && (
+                                        <span className="ml-1 text-xs font-normal text-gray-400">(実績 {formatFunc ? formatFunc(item.raw[displayKey]) : item.raw[displayKey]})</span>
+                                    )}
                                 </span>
                             </li>
                         ))}
@@ -1164,36 +3434,46 @@ const AllRankingsView = ({ battingData, pitchingData, minPA, minInnings, showAll
         );
     };
 
-    const filteredBatting = battingData.filter(p => p.pa >= minPA);
-    const filteredPitching = pitchingData.filter(p => p.inningsVal >= minInnings);
-
     return (
         <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4 pt-4">
-            <RankingList title="打率" data={filteredBatting} dataKey="avg" displayKey="avg" formatFunc={(v) => formatRate(v)} />
-            <RankingList title="OPS" data={filteredBatting} dataKey="ops" displayKey="ops" formatFunc={(v) => v.toFixed(3)} />
-            <RankingList title="出塁率" data={filteredBatting} dataKey="obp" displayKey="obp" formatFunc={(v) => formatRate(v)} />
-            <RankingList title="長打率" data={filteredBatting} dataKey="slg" displayKey="slg" formatFunc={(v) => v.toFixed(3)} />
-            <RankingList title="本塁打" data={filteredBatting} dataKey="hr" displayKey="hr" />
-            <RankingList title="打点" data={filteredBatting} dataKey="rbi" displayKey="rbi" />
-            <RankingList title="盗塁" data={filteredBatting} dataKey="sb" displayKey="sb" />
-            <RankingList title="四球" data={filteredBatting} dataKey="bb" displayKey="bb" />
-            <RankingList title="防御率" data={filteredPitching} dataKey="era" displayKey="era" isAsc={true} formatFunc={(v) => v.toFixed(2)} />
-            <RankingList title="WHIP" data={filteredPitching} dataKey="whip" displayKey="whip" isAsc={true} formatFunc={(v) => v.toFixed(2)} />
-            <RankingList title="奪三振" data={filteredPitching} dataKey="so" displayKey="so" />
-            <RankingList title="勝利数" data={filteredPitching} dataKey="win" displayKey="win" />
-            <RankingList title="K/BB" data={filteredPitching} dataKey="kbb" displayKey="kbb" formatFunc={(v) => v.toFixed(2)} />
-            <RankingList title="投球回" data={filteredPitching} dataKey="inningsVal" displayKey="displayInnings" />
-            <RankingList title="セーブ" data={filteredPitching} dataKey="sv" displayKey="sv" />
+            <RankingList title="打率" data={battingData} dataKey="avg" displayKey="avg" formatFunc={(v) => formatRate(v)} />
+            <RankingList title="OPS" data={battingData} dataKey="ops" displayKey="ops" formatFunc={(v) => v.toFixed(3)} />
+            <RankingList title="出塁率" data={battingData} dataKey="obp" displayKey="obp" formatFunc={(v) => formatRate(v)} />
+            <RankingList title="長打率" data={battingData} dataKey="slg" displayKey="slg" formatFunc={(v) => v.toFixed(3)} />
+            <RankingList title="本塁打" data={battingData} dataKey="hr" displayKey="hr" />
+            <RankingList title="打点" data={battingData} dataKey="rbi" displayKey="rbi" />
+            <RankingList title="盗塁" data={battingData} dataKey="sb" displayKey="sb" />
+            <RankingList title="四球" data={battingData} dataKey="bb" displayKey="bb" />
+            <RankingList title="ISO" data={battingData} dataKey="iso" displayKey="iso" formatFunc={(v) => formatMetric('iso', v)} />
+            <RankingList title="BABIP" data={battingData} dataKey="babip" displayKey="babip" formatFunc={(v) => formatMetric('babip', v)} />
+            <RankingList title="三振率(K%)" data={battingData} dataKey="kRate" displayKey="kRate" isAsc={true} formatFunc={(v) => formatMetric('kRate', v)} />
+            <RankingList title="四死球率(BB%)" data={battingData} dataKey="bbRate" displayKey="bbRate" formatFunc={(v) => formatMetric('bbRate', v)} />
+            <RankingList title="盗塁成功率" data={battingData.filter(p => p.sb + p.cs > 0)} dataKey="sbRate" displayKey="sbRate" formatFunc={(v) => formatMetric('sbRate', v)} />
+            <RankingList title="GO/FO" data={battingData} dataKey="goFo" displayKey="goFo" formatFunc={(v) => formatMetric('goFo', v)} />
+            <RankingList title="犠打率" data={battingData} dataKey="sacRate" displayKey="sacRate" formatFunc={(v) => formatMetric('sacRate', v)} />
+            <RankingList title="長打割合" data={battingData} dataKey="xbhRate" displayKey="xbhRate" formatFunc={(v) => formatMetric('xbhRate', v)} />
+            <RankingList title="防御率" data={pitchingData} dataKey="era" displayKey="era" isAsc={true} formatFunc={(v) => v.toFixed(2)} />
+            <RankingList title="WHIP" data={pitchingData} dataKey="whip" displayKey="whip" isAsc={true} formatFunc={(v) => v.toFixed(2)} />
+            <RankingList title="奪三振" data={pitchingData} dataKey="so" displayKey="so" />
+            <RankingList title="勝利数" data={pitchingData} dataKey="win" displayKey="win" />
+            <RankingList title="K/BB" data={pitchingData} dataKey="kbb" displayKey="kbb" formatFunc={(v) => v.toFixed(2)} />
+            <RankingList title="投球回" data={pitchingData} dataKey="inningsVal" displayKey="displayInnings" />
+            <RankingList title="セーブ" data={pitchingData} dataKey="sv" displayKey="sv" />
+            <RankingList title="ホールド" data={pitchingData} dataKey="hold" displayKey="hold" />
+            <RankingList title="QS" data={pitchingData} dataKey="qs" displayKey="qs" />
+            <RankingList title="被打率" data={pitchingData} dataKey="oppAvg" displayKey="oppAvg" isAsc={true} formatFunc={(v) => formatMetric('oppAvg', v)} />
+            <RankingList title="S率" data={pitchingData} dataKey="strikeRate" displayKey="strikeRate" formatFunc={(v) => formatMetric('strikeRate', v)} />
+            <RankingList title="球数/回" data={pitchingData} dataKey="pitchesPerInning" displayKey="pitchesPerInning" isAsc={true} formatFunc={(v) => formatMetric('pitchesPerInning', v)} />
         </div>
     );
 };
 
-const AllChartsView = ({ data, metricOptions, isPitching }) => {
+const AllChartsView = ({ data, metricOptions, isPitching, onPlayerClick }) => {
     const ChartCard = ({ metric }) => {
         const sortedData = useMemo(() => {
-            const items = [...data];
-            const sortAsc = ['era', 'whip'].includes(metric.v);
+            const sortAsc = ASCENDING_METRICS.includes(metric.v);
             const sortKey = (isPitching && metric.v === 'displayInnings') ? 'inningsVal' : metric.v;
+            const items = data.filter(p => p[sortKey] !== null && p[sortKey] !== undefined);
 
             items.sort((a, b) => {
                 const valA = a[sortKey] ?? (sortAsc ? Infinity : -Infinity);
@@ -1214,13 +3494,8 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
                         <XAxis type="number" domain={[0, 'dataMax']} />
                         <YAxis dataKey="name" type="category" width={80} tick={{ fontSize: 10 }} interval={0} />
                         <RechartsTooltip />
-                        <Bar dataKey={dataKey} fill="#3b82f6" radius={[0, 4, 4, 0]}>
-                            <LabelList dataKey={metric.v} position="right" style={{ fill: '#374151', fontSize: '11px' }} formatter={(val) => {
-                                if (typeof val !== 'number') return val;
-                                if (['era', 'whip', 'kbb'].includes(metric.v)) return val.toFixed(2);
-                                if (['avg', 'obp', 'slg', 'ops'].includes(metric.v)) return val.toFixed(3);
-                                return val;
-                            }} />
+                        <Bar dataKey={dataKey} fill="#3b82f6" radius={[0, 4, 4, 0]} onClick={(bar) => onPlayerClick(bar.payload.id)} className="cursor-pointer">
+                            <LabelList dataKey={metric.v} position="right" style={{ fill: '#374151', fontSize: '11px' }} formatter={(val) => formatMetric(metric.v, val)} />
                         </Bar>
                     </BarChart>
                 </ResponsiveContainer>
@@ -1237,6 +3512,106 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
     );
 };
 
+  const HeadToHeadPanel = () => {
+      const { players, radar, trend, poolSize } = headToHeadData;
+      const isPitching = comparisonDataType === 'pitching';
+      if (players.length === 0) {
+          return (
+              <Card>
+                  <p className="text-center text-gray-400 py-8">比較する選手を2〜{MAX_COMPARE_PLAYERS}人選んでください（集計対象の{isPitching ? '登板' : '打席'}がない選手は表示されません）</p>
+              </Card>
+          );
+      }
+
+      const lineRows = [
+          ...(isPitching
+              ? [{ v: 'games', l: '登板' }, { v: 'starts', l: '先発' }]
+              : [{ v: 'games', l: '試合' }, { v: 'pa', l: '打席' }, { v: 'ab', l: '打数' }, { v: 'h', l: '安打' }]),
+          ...(isPitching ? pitchingMetricOptions : battingMetricOptions),
+      ];
+      // Highlight the best value in each row when it is a number and not shared by everyone
+      const bestOf = (metric) => {
+          const values = players.map(p => p[metric]).filter(v => typeof v === 'number');
+          if (values.length < 2 || values.every(v => v === values[0])) return null;
+          return ASCENDING_METRICS.includes(metric) ? Math.min(...values) : Math.max(...values);
+      };
+
+      return (
+          <div className="space-y-6">
+              <Card className="overflow-hidden">
+                  <h3 className="text-lg font-bold text-gray-700 mb-3">{isPitching ? '投手成績' : '打撃成績'}の比較</h3>
+                  <div className="overflow-x-auto">
+                      <table className="min-w-full divide-y divide-gray-200 text-sm">
+                          <thead className="bg-gray-50">
+                              <tr>
+                                  <th className="px-3 py-3 text-left font-bold text-gray-500">指標</th>
+                                  {players.map((p, idx) => (
+                                      <th key={p.id} className="px-3 py-3 text-right font-bold whitespace-nowrap" style={{ color: COMPARE_COLORS[idx] }}>
+                                          <PlayerLink id={p.id} name={p.name} />
+                                      </th>
+                                  ))}
+                              </tr>
+                          </thead>
+                          <tbody className="bg-white divide-y divide-gray-200">
+                              {lineRows.map(row => {
+                                  const best = bestOf(row.v);
+                                  return (
+                                      <tr key={row.v} className="hover:bg-gray-50">
+                                          <td className="px-3 py-2 whitespace-nowrap text-gray-600">{row.l}</td>
+                                          {players.map(p => (
+                                              <td key={p.id} className={`px-3 py-2 text-right ${best !== null && p[row.v] === best ? 'bg-yellow-50 font-bold text-gray-900' : 'text-gray-600'}`}>
+                                                  {p[row.v] === null || p[row.v] === undefined ? '-' : formatMetric(row.v, p[row.v])}
+                                              </td>
+                                          ))}
+                                      </tr>
+                                  );
+                              })}
+                          </tbody>
+                      </table>
+                  </div>
+              </Card>
+
+              <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                  <Card className="h-96">
+                      <h3 className="text-lg font-bold text-gray-700 mb-2">能力レーダー</h3>
+                      <ResponsiveContainer width="100%" height="80%">
+                          <RadarChart data={radar} outerRadius="75%">
+                              <PolarGrid />
+                              <PolarAngleAxis dataKey="axis" tick={{ fontSize: 12 }} />
+                              <PolarRadiusAxis domain={[0, 100]} tick={{ fontSize: 10 }} />
+                              {players.map((p, idx) => (
+                                  <Radar key={p.id} dataKey={p.id} name={p.name} stroke={COMPARE_COLORS[idx]} fill={COMPARE_COLORS[idx]} fillOpacity={0.15} />
+                              ))}
+                              <RechartsTooltip />
+                              <Legend />
+                          </RadarChart>
+                      </ResponsiveContainer>
+                      <p className="text-xs text-gray-400">
+                          チーム内の{isPitching ? '規定投球回' : '規定打席'}に達した{isPitching ? '投手' : '打者'}（{poolSize}人）の中での順位を0〜100で表しています（50が真ん中）。
+                          {isPitching ? '制球は与四死球/打者、奪三振は奪三振/打者、被打抑止は被打率から算出します。' : 'ミートは打率、パワーはISO、選球眼はBB%−K%、走力は1試合あたりの盗塁数から算出します。'}
+                      </p>
+                  </Card>
+
+                  <Card className="h-96">
+                      <h3 className="text-lg font-bold text-gray-700 mb-4">{isPitching ? '累積防御率' : '累積OPS'}の推移</h3>
+                      <ResponsiveContainer width="100%" height="85%">
+                          <LineChart data={trend}>
+                              <CartesianGrid strokeDasharray="3 3" />
+                              <XAxis dataKey="periodKey" tick={{fontSize: 10}} />
+                              <YAxis domain={[0, 'auto']} />
+                              <RechartsTooltip />
+                              <Legend />
+                              {players.map((p, idx) => (
+                                  <Line key={p.id} type="stepAfter" dataKey={p.id} name={p.name} stroke={COMPARE_COLORS[idx]} strokeWidth={2} dot={{r: 3}} connectNulls />
+                              ))}
+                          </LineChart>
+                      </ResponsiveContainer>
+                  </Card>
+              </div>
+          </div>
+      );
+  };
+
   const ComparisonView = () => {
       const currentMetricOptions = comparisonDataType === 'batting' ? battingMetricOptions : pitchingMetricOptions;
       const scatterMetricOptions = comparisonDataType === 'batting' ? battingMetricOptions : pitchingMetricOptions;
@@ -1286,20 +3661,19 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
                             >
                                 グラフ一括表示
                             </button>
+                            <button 
+                                onClick={() => setComparisonChartType('head-to-head')}
+                                className={`px-4 py-2 rounded-md text-sm font-medium transition-all ${comparisonChartType === 'head-to-head' ? 'bg-white text-primary-600 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}
+                            >
+                                選手比較
+                            </button>
                         </div>
                     </div>
                     
                     <div className="flex items-center gap-4 flex-wrap">
-                        <label className="text-sm text-gray-600">
-                           {comparisonDataType === 'pitching' ? '最低投球回' : '最低打席数'}: 
-                        </label>
-                        <input 
-                            type="number" 
-                            min="0"
-                            value={comparisonMinPA}
-                            onChange={(e) => setComparisonMinPA(Number(e.target.value))}
-                            className="w-16 p-1 border rounded text-center"
-                        />
+                        {comparisonDataType === 'pitching' && <PitchingRoleToggle />}
+                        <QualificationControls />
+                        {['ranking', 'all'].includes(comparisonChartType) && <AdjustedToggle />}
                         {comparisonChartType === 'all' && (
                             <div className="flex items-center gap-2">
                                 <input type="checkbox" id="show-all-rankings" checked={showAllInRankings} onChange={e => setShowAllInRankings(e.target.checked)} className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500" />
@@ -1322,6 +3696,30 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
                       </div>
                   )}
 
+                  {comparisonChartType === 'head-to-head' && (
+                      <div className="flex flex-wrap items-center gap-2">
+                          <label className="text-sm font-bold text-gray-700">比較する選手:</label>
+                          {comparePlayerIds.map((id, idx) => (
+                              <span key={id} className="inline-flex items-center gap-1 px-2 py-1 rounded-full text-sm text-white" style={{ backgroundColor: COMPARE_COLORS[idx] }}>
+                                  {playerList.find(p => p.id === id)?.name || id}
+                                  <button onClick={() => setComparePlayerIds(comparePlayerIds.filter(pid => pid !== id))} className="hover:text-gray-200"><X size={14} /></button>
+                              </span>
+                          ))}
+                          {comparePlayerIds.length < MAX_COMPARE_PLAYERS && (
+                              <select
+                                value=""
+                                onChange={(e) => e.target.value && setComparePlayerIds([...comparePlayerIds, e.target.value])}
+                                className="p-2 border rounded-md"
+                              >
+                                  <option value="">選手を追加...</option>
+                                  {playerList.filter(p => !comparePlayerIds.includes(p.id)).map(p => (
+                                      <option key={p.id} value={p.id}>{p.number} - {p.name}</option>
+                                  ))}
+                              </select>
+                          )}
+                      </div>
+                  )}
+
                   {comparisonChartType === 'scatter' && (
                       <div className="flex items-center gap-4">
                           <div className="flex items-center gap-2">
@@ -1350,6 +3748,7 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
                   )}
               </div>
 
+              {comparisonChartType === 'head-to-head' ? <HeadToHeadPanel /> : (
               <Card className={['all', 'chart-all'].includes(comparisonChartType) ? '' : 'h-[500px]'}>
                   <h3 className="text-lg font-bold text-gray-700 mb-4">
                       {comparisonChartType === 'ranking' ? 
@@ -1360,6 +3759,7 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
                           '全指標グラフ表示' :
                           '主要指標ランキング'
                       }
+                      {showAdjusted && comparisonChartType === 'ranking' && RATE_STATS[comparisonDataType]?.[comparisonMetric] && <span className="ml-2 text-sm font-normal text-gray-500">（調整後）</span>}
                   </h3>
                   
                   {comparisonChartType === 'ranking' && (
@@ -1373,8 +3773,9 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
                               <XAxis type="number" />
                               <YAxis dataKey="name" type="category" width={100} tick={{fontSize: 11}} interval={0} />
                               <RechartsTooltip cursor={{fill: 'transparent'}} />
-                              <Bar dataKey="value" fill="#3b82f6" radius={[0, 4, 4, 0]} barSize={20}>
+                              <Bar dataKey="value" fill="#3b82f6" radius={[0, 4, 4, 0]} barSize={20} onClick={(bar) => openPlayer(bar.payload.id)} className="cursor-pointer">
                                   <LabelList dataKey="displayValue" position="right" style={{ fill: '#374151', fontSize: '12px' }}/>
+                                  {showAdjusted && <ErrorBar dataKey="errorRange" direction="x" width={4} stroke="#9ca3af" />}
                               </Bar>
                           </BarChart>
                       </ResponsiveContainer>
@@ -1406,32 +3807,36 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
                                     }
                                     return null;
                                 }} />
-                                <Scatter name="選手" data={comparisonScatterData} fill="#8884d8">{showScatterLabels && <LabelList dataKey="name" position="top" style={{ fontSize: '10px' }} />}</Scatter>
+                                <Scatter name="選手" data={comparisonScatterData} fill="#8884d8" onClick={(point) => openPlayer((point.payload || point).id)} className="cursor-pointer">{showScatterLabels && <LabelList dataKey="name" position="top" style={{ fontSize: '10px' }} />}</Scatter>
                           </ScatterChart>
                       </ResponsiveContainer>
                   )}
                   {comparisonChartType === 'all' && (
                     <AllRankingsView 
-                        battingData={aggregatedBatting} 
-                        pitchingData={aggregatedPitching} 
-                        minPA={comparisonMinPA} 
-                        minInnings={comparisonMinPA} 
+                        battingData={showAdjusted ? qualifiedBatting.map(applyAdjustedRates) : qualifiedBatting} 
+                        pitchingData={showAdjusted ? qualifiedPitching.map(applyAdjustedRates) : qualifiedPitching} 
                         showAll={showAllInRankings}
+                        onPlayerClick={openPlayer}
                     />
                   )}
                   {comparisonChartType === 'chart-all' && (
                     <AllChartsView 
-                        data={comparisonDataType === 'batting' ? aggregatedBatting.filter(p => p.pa >= comparisonMinPA) : aggregatedPitching.filter(p => p.inningsVal >= comparisonMinPA)}
+                        data={(comparisonDataType === 'batting' ? qualifiedBatting : qualifiedPitching).map(p => ({ ...p, name: qualifiedName(p) }))}
                         metricOptions={currentMetricOptions}
                         isPitching={comparisonDataType === 'pitching'}
+                        onPlayerClick={openPlayer}
                     />
                   )}
               </Card>
+              )}
           </div>
       );
   };
 
   const TrendsView = () => {
+      const isRolling = trendPeriod === 'rolling';
+      const rollingLabel = `直近${rollingWindow}試合`;
+      const teamTrend = isRolling ? teamRollingTrendData : teamTrendData;
       const renderPlayerCharts = () => {
           if (trendType === 'batting') {
               return (<>
@@ -1466,6 +3871,8 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
                                     <Legend />
                                     <Line type="stepAfter" dataKey="avg" name="累積打率" stroke="#3b82f6" strokeWidth={2} dot={{r: 3}} />
                                     <Line type="stepAfter" dataKey="ops" name="累積OPS" stroke="#f59e0b" strokeWidth={2} dot={{r: 3}} />
+                                    {isRolling && <Line type="monotone" dataKey="rolling.avg" name={`打率(${rollingLabel})`} stroke="#3b82f6" strokeDasharray="5 5" dot={false} />}
+                                    {isRolling && <Line type="monotone" dataKey="rolling.ops" name={`OPS(${rollingLabel})`} stroke="#f59e0b" strokeDasharray="5 5" dot={false} />}
                                 </LineChart>
                             </ResponsiveContainer>
                         ) : <div className="h-full flex items-center justify-center text-gray-400">データがありません</div>}
@@ -1488,17 +3895,36 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
                         ) : <div className="h-full flex items-center justify-center text-gray-400">データがありません</div>}
                     </Card>
                     <Card className="h-96">
-                        <h3 className="text-lg font-bold text-gray-700 mb-4">累積四死球率・三振率 推移</h3>
+                        <h3 className="text-lg font-bold text-gray-700 mb-4">累積四死球率・三振率 推移</h3>
+                        {playerBattingTrendData.length > 0 ? (
+                            <ResponsiveContainer width="100%" height="90%">
+                                <LineChart data={playerBattingTrendData}>
+                                    <CartesianGrid strokeDasharray="3 3" />
+                                    <XAxis dataKey="periodKey" tick={{fontSize: 10}} />
+                                    <YAxis domain={[0, 'auto']} unit="%" />
+                                    <RechartsTooltip />
+                                    <Legend />
+                                    <Line type="monotone" dataKey="bbRate" name="累積四死球率(BB%)" stroke="#10b981" strokeWidth={2} dot={{r: 3}} />
+                                    <Line type="monotone" dataKey="soRate" name="累積三振率(K%)" stroke="#ef4444" strokeWidth={2} dot={{r: 3}} />
+                                </LineChart>
+                            </ResponsiveContainer>
+                        ) : <div className="h-full flex items-center justify-center text-gray-400">データがありません</div>}
+                    </Card>
+                    <Card className="h-96">
+                        <h3 className="text-lg font-bold text-gray-700 mb-4">累積得点圏打率・残塁/打席・併殺打率 推移</h3>
                         {playerBattingTrendData.length > 0 ? (
                             <ResponsiveContainer width="100%" height="90%">
                                 <LineChart data={playerBattingTrendData}>
                                     <CartesianGrid strokeDasharray="3 3" />
                                     <XAxis dataKey="periodKey" tick={{fontSize: 10}} />
-                                    <YAxis domain={[0, 'auto']} unit="%" />
+                                    <YAxis yAxisId="left" domain={[0, 'auto']} tickFormatter={v => v.toFixed(3)} />
+                                    <YAxis yAxisId="right" orientation="right" domain={[0, 'auto']} />
                                     <RechartsTooltip />
                                     <Legend />
-                                    <Line type="monotone" dataKey="bbRate" name="累積四死球率(BB%)" stroke="#10b981" strokeWidth={2} dot={{r: 3}} />
-                                    <Line type="monotone" dataKey="soRate" name="累積三振率(K%)" stroke="#ef4444" strokeWidth={2} dot={{r: 3}} />
+                                    <Line yAxisId="left" type="stepAfter" dataKey="avg" name="累積打率" stroke="#9ca3af" strokeDasharray="4 4" dot={false} />
+                                    <Line yAxisId="left" type="stepAfter" dataKey="rispAvg" name="累積得点圏打率" stroke="#3b82f6" strokeWidth={2} dot={{r: 3}} />
+                                    <Line yAxisId="left" type="monotone" dataKey="gidpRate" name="累積併殺打率" stroke="#8b5cf6" strokeWidth={2} dot={{r: 3}} />
+                                    <Line yAxisId="right" type="monotone" dataKey="lobPerPA" name="累積残塁/打席" stroke="#f59e0b" strokeWidth={2} dot={{r: 3}} />
                                 </LineChart>
                             </ResponsiveContainer>
                         ) : <div className="h-full flex items-center justify-center text-gray-400">データがありません</div>}
@@ -1533,13 +3959,15 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
                               <ResponsiveContainer width="100%" height="90%">
                                   <LineChart data={playerPitchingTrendData}>
                                       <CartesianGrid strokeDasharray="3 3" />
-                                      <XAxis dataKey="date" tick={{fontSize: 10}} />
+                                      <XAxis dataKey="periodKey" tick={{fontSize: 10}} />
                                       <YAxis yAxisId="left" domain={[0, 'auto']} label={{ value: 'ERA', angle: -90, position: 'insideLeft' }} />
                                       <YAxis yAxisId="right" orientation="right" domain={[0, 'auto']} label={{ value: 'WHIP', angle: 90, position: 'insideRight' }} />
                                       <RechartsTooltip />
                                       <Legend />
                                       <Line yAxisId="left" type="monotone" dataKey="era" name="累積防御率" stroke="#ef4444" strokeWidth={2} dot={{r: 3}} />
                                       <Line yAxisId="right" type="monotone" dataKey="whip" name="累積WHIP" stroke="#8b5cf6" strokeWidth={2} dot={{r: 3}} />
+                                      {isRolling && <Line yAxisId="left" type="monotone" dataKey="rolling.era" name={`防御率(${rollingLabel})`} stroke="#ef4444" strokeDasharray="5 5" dot={false} />}
+                                      {isRolling && <Line yAxisId="right" type="monotone" dataKey="rolling.whip" name={`WHIP(${rollingLabel})`} stroke="#8b5cf6" strokeDasharray="5 5" dot={false} />}
                                   </LineChart>
                               </ResponsiveContainer>
                           ) : <div className="h-full flex items-center justify-center text-gray-400">データがありません</div>}
@@ -1551,7 +3979,7 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
                               <ResponsiveContainer width="100%" height="90%">
                                   <ComposedChart data={playerPitchingTrendData}>
                                       <CartesianGrid strokeDasharray="3 3" />
-                                      <XAxis dataKey="date" tick={{fontSize: 10}} />
+                                      <XAxis dataKey="periodKey" tick={{fontSize: 10}} />
                                       <YAxis yAxisId="left" label={{ value: '回', angle: -90, position: 'insideLeft' }} />
                                       <YAxis yAxisId="right" orientation="right" unit="%" domain={[0, 100]} />
                                       <RechartsTooltip content={({ active, payload, label }) => {
@@ -1585,11 +4013,12 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
                               <ResponsiveContainer width="100%" height="90%">
                                   <LineChart data={playerPitchingTrendData}>
                                       <CartesianGrid strokeDasharray="3 3" />
-                                      <XAxis dataKey="date" tick={{fontSize: 10}} />
+                                      <XAxis dataKey="periodKey" tick={{fontSize: 10}} />
                                       <YAxis domain={[0, 'auto']} label={{ value: 'K/BB', angle: -90, position: 'insideLeft' }} />
                                       <RechartsTooltip />
                                       <Legend />
                                       <Line type="monotone" dataKey="kbb" name="累積K/BB" stroke="#22c55e" strokeWidth={2} dot={{r: 3}} />
+                                      {isRolling && <Line type="monotone" dataKey="rolling.kbb" name={`K/BB(${rollingLabel})`} stroke="#22c55e" strokeDasharray="5 5" dot={false} />}
                                       <ReferenceLine y={1.0} stroke="red" strokeDasharray="3 3" label={{ value: '1.0', position: 'insideTopRight' }} />
                                   </LineChart>
                               </ResponsiveContainer>
@@ -1597,17 +4026,19 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
                       </Card>
 
                       <Card className="h-96">
-                          <h3 className="text-lg font-bold text-gray-700 mb-4">累積K/7, BB/7 推移</h3>
+                          <h3 className="text-lg font-bold text-gray-700 mb-4">累積K/{ruleInnings.label}, BB/{ruleInnings.label} 推移</h3>
                           {playerPitchingTrendData.length > 0 ? (
                               <ResponsiveContainer width="100%" height="90%">
                                   <LineChart data={playerPitchingTrendData}>
                                       <CartesianGrid strokeDasharray="3 3" />
-                                      <XAxis dataKey="date" tick={{fontSize: 10}} />
+                                      <XAxis dataKey="periodKey" tick={{fontSize: 10}} />
                                       <YAxis domain={[0, 'auto']} />
                                       <RechartsTooltip />
                                       <Legend />
-                                      <Line type="monotone" dataKey="kPer7" name="奪三振率" stroke="#3b82f6" strokeWidth={2} />
-                                      <Line type="monotone" dataKey="bbPer7" name="与四死球率" stroke="#ef4444" strokeWidth={2} />
+                                      <Line type="monotone" dataKey="kPerGame" name="奪三振率" stroke="#3b82f6" strokeWidth={2} />
+                                      <Line type="monotone" dataKey="bbPerGame" name="与四死球率" stroke="#ef4444" strokeWidth={2} />
+                                      {isRolling && <Line type="monotone" dataKey="rolling.kPerGame" name={`奪三振率(${rollingLabel})`} stroke="#3b82f6" strokeDasharray="5 5" dot={false} />}
+                                      {isRolling && <Line type="monotone" dataKey="rolling.bbPerGame" name={`与四死球率(${rollingLabel})`} stroke="#ef4444" strokeDasharray="5 5" dot={false} />}
                                   </LineChart>
                               </ResponsiveContainer>
                           ) : <div className="h-full flex items-center justify-center text-gray-400">データがありません</div>}
@@ -1648,7 +4079,19 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
                               <button onClick={() => setTrendPeriod('quarterly')} className={`px-3 py-1.5 rounded text-xs font-bold transition-all ${trendPeriod === 'quarterly' ? 'bg-primary-500 text-white shadow' : 'text-gray-500 hover:bg-gray-200'}`}>
                                   3ヶ月単位
                               </button>
+                              <button onClick={() => setTrendPeriod('rolling')} className={`px-3 py-1.5 rounded text-xs font-bold transition-all ${isRolling ? 'bg-primary-500 text-white shadow' : 'text-gray-500 hover:bg-gray-200'}`}>
+                                  直近N試合
+                              </button>
                           </div>
+                          {isRolling && (
+                              <select
+                                  value={rollingWindow}
+                                  onChange={e => setRollingWindow(Number(e.target.value))}
+                                  className="rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 text-sm p-1.5 border bg-white"
+                              >
+                                  {[3, 5, 10].map(n => <option key={n} value={n}>直近{n}試合</option>)}
+                              </select>
+                          )}
                       </div>
                       
                       {trendTarget === 'player' && (
@@ -1687,22 +4130,24 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
                     <Card className="h-96">
                         <h3 className="text-lg font-bold text-gray-700 mb-4">チーム打撃 打率・OPS推移</h3>
                         <ResponsiveContainer width="100%" height="90%">
-                            <LineChart data={teamTrendData.batting}>
+                            <LineChart data={teamTrend.batting}>
                                 <CartesianGrid strokeDasharray="3 3" />
                                 <XAxis dataKey="periodKey" />
                                 <YAxis yAxisId="left" domain={[0, 0.6]} tickFormatter={v => v.toFixed(3)} />
                                 <YAxis yAxisId="right" orientation="right" domain={[0, 1.2]} />
                                 <RechartsTooltip />
                                 <Legend />
-                                <Line yAxisId="left" type="monotone" dataKey="avg" name="打率" stroke="#3b82f6" strokeWidth={3} />
-                                <Line yAxisId="right" type="monotone" dataKey="ops" name="OPS" stroke="#f59e0b" strokeWidth={3} />
+                                <Line yAxisId="left" type="monotone" dataKey="avg" name={isRolling ? '打率(累積)' : '打率'} stroke="#3b82f6" strokeWidth={3} />
+                                <Line yAxisId="right" type="monotone" dataKey="ops" name={isRolling ? 'OPS(累積)' : 'OPS'} stroke="#f59e0b" strokeWidth={3} />
+                                {isRolling && <Line yAxisId="left" type="monotone" dataKey="rolling.avg" name={`打率(${rollingLabel})`} stroke="#3b82f6" strokeDasharray="5 5" dot={false} />}
+                                {isRolling && <Line yAxisId="right" type="monotone" dataKey="rolling.ops" name={`OPS(${rollingLabel})`} stroke="#f59e0b" strokeDasharray="5 5" dot={false} />}
                             </LineChart>
                         </ResponsiveContainer>
                     </Card>
                     <Card className="h-96">
                         <h3 className="text-lg font-bold text-gray-700 mb-4">チーム打撃 四死球率・三振率推移</h3>
                         <ResponsiveContainer width="100%" height="90%">
-                            <LineChart data={teamTrendData.batting}>
+                            <LineChart data={teamTrend.batting}>
                                 <CartesianGrid strokeDasharray="3 3" />
                                 <XAxis dataKey="periodKey" />
                                 <YAxis unit="%" />
@@ -1710,35 +4155,41 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
                                 <Legend />
                                 <Line type="monotone" dataKey="bbRate" name="四死球率(BB%)" stroke="#10b981" />
                                 <Line type="monotone" dataKey="soRate" name="三振率(K%)" stroke="#ef4444" />
+                                {isRolling && <Line type="monotone" dataKey="rolling.bbRate" name={`BB%(${rollingLabel})`} stroke="#10b981" strokeDasharray="5 5" dot={false} />}
+                                {isRolling && <Line type="monotone" dataKey="rolling.soRate" name={`K%(${rollingLabel})`} stroke="#ef4444" strokeDasharray="5 5" dot={false} />}
                             </LineChart>
                         </ResponsiveContainer>
                     </Card>
                     <Card className="h-96">
                         <h3 className="text-lg font-bold text-gray-700 mb-4">チーム投手 防御率・WHIP推移</h3>
                         <ResponsiveContainer width="100%" height="90%">
-                            <LineChart data={teamTrendData.pitching}>
+                            <LineChart data={teamTrend.pitching}>
                                 <CartesianGrid strokeDasharray="3 3" />
                                 <XAxis dataKey="periodKey" />
                                 <YAxis yAxisId="left" domain={[0, 'auto']} />
                                 <YAxis yAxisId="right" orientation="right" domain={[0, 'auto']} />
                                 <RechartsTooltip />
                                 <Legend />
-                                <Line yAxisId="left" type="monotone" dataKey="era" name="防御率" stroke="#ef4444" strokeWidth={3} />
-                                <Line yAxisId="right" type="monotone" dataKey="whip" name="WHIP" stroke="#8b5cf6" strokeWidth={3} />
+                                <Line yAxisId="left" type="monotone" dataKey="era" name={isRolling ? '防御率(累積)' : '防御率'} stroke="#ef4444" strokeWidth={3} />
+                                <Line yAxisId="right" type="monotone" dataKey="whip" name={isRolling ? 'WHIP(累積)' : 'WHIP'} stroke="#8b5cf6" strokeWidth={3} />
+                                {isRolling && <Line yAxisId="left" type="monotone" dataKey="rolling.era" name={`防御率(${rollingLabel})`} stroke="#ef4444" strokeDasharray="5 5" dot={false} />}
+                                {isRolling && <Line yAxisId="right" type="monotone" dataKey="rolling.whip" name={`WHIP(${rollingLabel})`} stroke="#8b5cf6" strokeDasharray="5 5" dot={false} />}
                             </LineChart>
                         </ResponsiveContainer>
                     </Card>
                     <Card className="h-96">
-                        <h3 className="text-lg font-bold text-gray-700 mb-4">チーム投手 K/7・BB/7推移（月別）</h3>
+                        <h3 className="text-lg font-bold text-gray-700 mb-4">チーム投手 K/{ruleInnings.label}・BB/{ruleInnings.label}推移</h3>
                         <ResponsiveContainer width="100%" height="90%">
-                            <LineChart data={teamTrendData.pitching}>
+                            <LineChart data={teamTrend.pitching}>
                                 <CartesianGrid strokeDasharray="3 3" />
                                 <XAxis dataKey="periodKey" />
                                 <YAxis />
                                 <RechartsTooltip />
                                 <Legend />
-                                <Line type="monotone" dataKey="kPer7" name="奪三振率(K/7)" stroke="#3b82f6" />
-                                <Line type="monotone" dataKey="bbPer7" name="与四死球率(BB/7)" stroke="#ef4444" />
+                                <Line type="monotone" dataKey="kPerGame" name={`奪三振率(K/${ruleInnings.label})`} stroke="#3b82f6" />
+                                <Line type="monotone" dataKey="bbPerGame" name={`与四死球率(BB/${ruleInnings.label})`} stroke="#ef4444" />
+                                {isRolling && <Line type="monotone" dataKey="rolling.kPerGame" name={`K/${ruleInnings.label}(${rollingLabel})`} stroke="#3b82f6" strokeDasharray="5 5" dot={false} />}
+                                {isRolling && <Line type="monotone" dataKey="rolling.bbPerGame" name={`BB/${ruleInnings.label}(${rollingLabel})`} stroke="#ef4444" strokeDasharray="5 5" dot={false} />}
                             </LineChart>
                         </ResponsiveContainer>
                     </Card>
@@ -1780,12 +4231,20 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
       { k: 'hr', l: '本塁' }, { k: 'rbi', l: '打点' }, { k: 'sb', l: '盗塁' }, 
       { k: 'bb', l: '四球' }, { k: 'so', l: '三振' },
       { k: 'avg', l: '打率' }, { k: 'obp', l: '出塁' }, { k: 'ops', l: 'OPS' },
-      { k: 'bbK', l: 'BB/K' }
+      { k: 'bbK', l: 'BB/K' },
+      { k: 'rispAvg', l: '得点圏' }, { k: 'rispDelta', l: '圏差' },
+      { k: 'lobPerPA', l: '残塁/打席' }, { k: 'gidpRate', l: '併殺率' },
+      { k: 'iso', l: 'ISO' }, { k: 'isoD', l: 'IsoD' }, { k: 'babip', l: 'BABIP' },
+      { k: 'kRate', l: 'K%' }, { k: 'bbRate', l: 'BB%' }, { k: 'sbRate', l: '盗塁成功' },
+      { k: 'goFo', l: 'GO/FO' }, { k: 'sacRate', l: '犠打率' }, { k: 'xbhRate', l: '長打割合' }
     ];
 
     return (
       <div className="space-y-4">
         <FilterPanel />
+        <div className="flex justify-end">
+          <AdjustedToggle />
+        </div>
         <Card className="overflow-hidden">
             <div className="overflow-x-auto">
             <table className="min-w-full divide-y divide-gray-200 text-sm">
@@ -1802,7 +4261,7 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
                 {sortedData.map((row) => (
                     <tr key={row.id} className="hover:bg-gray-50">
                     <td className="px-3 py-2 whitespace-nowrap text-gray-500">{row.number}</td>
-                    <td className="px-3 py-2 whitespace-nowrap font-medium text-gray-900">{row.name}</td>
+                    <td className="px-3 py-2 whitespace-nowrap font-medium text-gray-900"><PlayerLink id={row.id} name={row.name} /></td>
                     <td className="px-3 py-2 text-gray-600">{row.games}</td>
                     <td className="px-3 py-2 text-gray-600">{row.pa}</td>
                     <td className="px-3 py-2 text-gray-600">{row.ab}</td>
@@ -1812,10 +4271,21 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
                     <td className="px-3 py-2 text-green-600">{row.sb}</td>
                     <td className="px-3 py-2 text-gray-400">{row.bb}</td>
                     <td className="px-3 py-2 text-gray-400">{row.so}</td>
-                    <td className="px-3 py-2 bg-yellow-50 font-bold text-gray-900">{formatRate(row.avg)}</td>
-                    <td className="px-3 py-2 text-gray-600">{formatRate(row.obp)}</td>
+                    <td className="px-3 py-2 bg-yellow-50 font-bold text-gray-900">{formatRate(row.avg)}<RateInterval player={row} metric="avg" /></td>
+                    <td className="px-3 py-2 text-gray-600">{formatRate(row.obp)}<RateInterval player={row} metric="obp" /></td>
                     <td className="px-3 py-2 text-gray-600">{row.ops}</td>
                     <td className="px-3 py-2 text-xs text-gray-400">{row.bbK}</td>
+                    <td className="px-3 py-2 text-gray-600">{row.rispAb > 0 ? <>{formatRate(row.rispAvg)}<RateInterval player={row} metric="rispAvg" /></> : '-'}</td>
+                    <td className={`px-3 py-2 text-xs ${row.rispDelta > 0 ? 'text-red-600' : 'text-blue-600'}`}>{row.rispAb > 0 ? formatSignedRate(row.rispDelta) : '-'}</td>
+                    <td className="px-3 py-2 text-gray-600">{row.lobPerPA.toFixed(2)}</td>
+                    <td className="px-3 py-2 text-gray-600">{formatRate(row.gidpRate)}</td>
+                    {['iso', 'isoD', 'babip', 'kRate', 'bbRate'].map(k => (
+                      <td key={k} className="px-3 py-2 text-gray-600">{formatMetric(k, row[k])}<RateInterval player={row} metric={k} /></td>
+                    ))}
+                    <td className="px-3 py-2 text-gray-600">{row.sb + row.cs > 0 ? <>{formatMetric('sbRate', row.sbRate)}<RateInterval player={row} metric="sbRate" /></> : '-'}</td>
+                    <td className="px-3 py-2 text-gray-600">{row.fo > 0 ? formatMetric('goFo', row.goFo) : '-'}</td>
+                    <td className="px-3 py-2 text-gray-600">{formatMetric('sacRate', row.sacRate)}</td>
+                    <td className="px-3 py-2 text-gray-600">{row.h > 0 ? formatMetric('xbhRate', row.xbhRate) : '-'}</td>
                     </tr>
                 ))}
                 </tbody>
@@ -1826,6 +4296,56 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
     );
   };
 
+  const QualificationControls = () => {
+    const select = (key, options) => (
+      <select value={qualificationSettings[key]} onChange={(e) => setQualificationSettings({ ...qualificationSettings, [key]: Number(e.target.value) })} className="border border-gray-300 rounded-md p-1 text-sm">
+        {options.map(v => <option key={v} value={v}>{v === 0 ? 'なし' : v}</option>)}
+      </select>
+    );
+    return (
+      <div className="flex items-center gap-x-4 gap-y-2 flex-wrap text-sm text-gray-600">
+        <span className="flex items-center gap-1">
+          規定打席: 1試合 {select('paPerGame', [0, 1, 1.5, 2, 2.5, 3, 3.1])} 打席
+          <span className="text-gray-400">（{qualification.minPA}打席）</span>
+        </span>
+        <span className="flex items-center gap-1">
+          規定投球回: 1試合 {select('ipPerGame', [0, 0.3, 0.5, 0.7, 1, 1.5])} 回
+          <span className="text-gray-400">（{formatInnings(Math.ceil(qualification.minInnings * 3))}回）</span>
+        </span>
+        <span className="flex items-center gap-2">
+          <input type="checkbox" id="include-unqualified" checked={qualificationSettings.includeUnqualified} onChange={e => setQualificationSettings({ ...qualificationSettings, includeUnqualified: e.target.checked })} className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500" />
+          <label htmlFor="include-unqualified">規定未満の選手も表示（{UNQUALIFIED_MARK}印）</label>
+        </span>
+      </div>
+    );
+  };
+
+  const AdjustedToggle = () => (
+    <div className="flex items-center gap-2">
+      <input type="checkbox" id="show-adjusted" checked={showAdjusted} onChange={e => setShowAdjusted(e.target.checked)} className="h-4 w-4 rounded border-gray-300 text-primary-600 focus:ring-primary-500" />
+      <label htmlFor="show-adjusted" className="text-sm text-gray-600">調整後（少ない打席数の補正）</label>
+    </div>
+  );
+
+  // 95% interval under a rate cell in adjusted mode
+  const RateInterval = ({ player, metric }) => {
+    const interval = player.interval?.[metric];
+    if (!showAdjusted || !interval) return null;
+    return <span className="block text-[10px] font-normal text-gray-400 whitespace-nowrap">{formatMetric(metric, interval.low)}–{formatMetric(metric, interval.high)}</span>;
+  };
+
+  const PitchingRoleToggle = () => (
+    <div className="flex space-x-2 bg-gray-100 p-1 rounded-lg">
+      {Object.entries(PITCHING_ROLE_LABELS).map(([role, label]) => (
+        <button
+          key={role}
+          onClick={() => setPitchingRole(role)}
+          className={`px-4 py-2 rounded-md text-sm font-medium transition-all ${pitchingRole === role ? 'bg-white text-primary-600 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}
+        >{label}</button>
+      ))}
+    </div>
+  );
+
   const PitchingView = () => {
     const [sortConfig, setSortConfig] = useState({ key: null, direction: 'desc' });
     const requestSort = (key) => {
@@ -1835,7 +4355,7 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
     };
 
     const sortedData = useMemo(() => {
-      let sortableItems = [...aggregatedPitching];
+      let sortableItems = [...rolePitching];
       if (sortConfig.key !== null) {
         sortableItems.sort((a, b) => {
            let valA = a[sortConfig.key];
@@ -1848,18 +4368,26 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
         });
       }
       return sortableItems;
-    }, [aggregatedPitching, sortConfig]);
+    }, [rolePitching, sortConfig]);
 
     const headers = [
       { k: 'number', l: '#' }, { k: 'name', l: '名前' }, { k: 'games', l: '登板' }, 
       { k: 'displayInnings', l: '回' }, { k: 'win', l: '勝' }, { k: 'loss', l: '敗' },
       { k: 'sv', l: 'S' }, { k: 'so', l: '奪三振' }, { k: 'bb', l: '四球' }, { k: 'hbp', l: '死球' },
-      { k: 'era', l: '防御率' }, { k: 'whip', l: 'WHIP' }, { k: 'kbb', l: 'K/BB' }
+      { k: 'era', l: '防御率' }, { k: 'whip', l: 'WHIP' }, { k: 'kbb', l: 'K/BB' },
+      { k: 'starts', l: '先発' }, { k: 'qs', l: 'QS' }, { k: 'hold', l: 'H' },
+      { k: 'oppAvg', l: '被打率' }, { k: 'strikeRate', l: 'S率' },
+      { k: 'pitchesPerInning', l: '球数/回' }, { k: 'pitchesPerBatter', l: '球数/打者' },
+      { k: 'wpBkPerGame', l: `暴投・ボーク/${ruleInnings.label}` }, { k: 'goFo', l: 'GO/FO' }
     ];
 
     return (
        <div className="space-y-4">
         <FilterPanel />
+        <div className="flex justify-end items-center gap-4">
+          <AdjustedToggle />
+          <PitchingRoleToggle />
+        </div>
         <Card className="overflow-hidden">
             <div className="overflow-x-auto">
             <table className="min-w-full divide-y divide-gray-200 text-sm">
@@ -1876,7 +4404,7 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
                 {sortedData.map((row) => (
                     <tr key={row.id} className="hover:bg-gray-50">
                     <td className="px-3 py-2 whitespace-nowrap text-gray-500">{row.number}</td>
-                    <td className="px-3 py-2 whitespace-nowrap font-medium text-gray-900">{row.name}</td>
+                    <td className="px-3 py-2 whitespace-nowrap font-medium text-gray-900"><PlayerLink id={row.id} name={row.name} /></td>
                     <td className="px-3 py-2 text-gray-600">{row.games}</td>
                     <td className="px-3 py-2 text-gray-900">{row.displayInnings}</td>
                     <td className="px-3 py-2 text-red-600 font-bold">{row.win}</td>
@@ -1888,6 +4416,13 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
                     <td className="px-3 py-2 bg-yellow-50 font-bold text-gray-900">{row.era.toFixed(2)}</td>
                     <td className="px-3 py-2 text-gray-600">{row.whip.toFixed(2)}</td>
                     <td className="px-3 py-2 text-gray-400">{row.kbb.toFixed(2)}</td>
+                    <td className="px-3 py-2 text-gray-600">{row.starts}</td>
+                    <td className="px-3 py-2 text-gray-600">{row.qs}</td>
+                    <td className="px-3 py-2 text-gray-600">{row.hold}</td>
+                    {['oppAvg', 'strikeRate', 'pitchesPerInning', 'pitchesPerBatter', 'wpBkPerGame'].map(k => (
+                      <td key={k} className="px-3 py-2 text-gray-600">{formatMetric(k, row[k])}<RateInterval player={row} metric={k} /></td>
+                    ))}
+                    <td className="px-3 py-2 text-gray-600">{row.fo > 0 ? formatMetric('goFo', row.goFo) : '-'}</td>
                     </tr>
                 ))}
                 </tbody>
@@ -1898,6 +4433,763 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
     );
   };
 
+  const OpponentsTable = () => (
+    <Card className="overflow-hidden">
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              {['対戦相手', '試合', '勝-敗-分', '得点', '失点', '打率', 'OPS', '防御率', 'WHIP', '好成績の打者', '好成績の投手'].map(h => (
+                <th key={h} className="px-3 py-3 text-left font-bold text-gray-500 whitespace-nowrap">{h}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {opponentStats.map(o => (
+              <React.Fragment key={o.opponent}>
+                <tr onClick={() => setExpandedOpponent(expandedOpponent === o.opponent ? null : o.opponent)} className="hover:bg-gray-50 cursor-pointer">
+                  <td className="px-3 py-2 whitespace-nowrap font-medium text-gray-900">{expandedOpponent === o.opponent ? '▾' : '▸'} {o.opponent}</td>
+                  <td className="px-3 py-2 text-gray-600">{o.games.length}</td>
+                  <td className="px-3 py-2 whitespace-nowrap font-bold text-gray-900">{o.wins}-{o.losses}-{o.ties}</td>
+                  <td className="px-3 py-2 text-blue-600">{o.runsScored}</td>
+                  <td className="px-3 py-2 text-red-600">{o.runsAllowed}</td>
+                  <td className="px-3 py-2 text-gray-600">{formatRate(o.avg)}</td>
+                  <td className="px-3 py-2 text-gray-600">{formatRate(o.ops)}</td>
+                  <td className="px-3 py-2 text-gray-600">{o.era.toFixed(2)}</td>
+                  <td className="px-3 py-2 text-gray-600">{o.whip.toFixed(2)}</td>
+                  <td className="px-3 py-2 whitespace-nowrap text-gray-600">
+                    {o.bestBatter ? <><PlayerLink id={o.bestBatter.id} name={o.bestBatter.name} /> <span className="text-xs text-gray-400">{o.bestBatter.ab}打数{o.bestBatter.h}安打 {o.bestBatter.rbi}打点</span></> : '-'}
+                  </td>
+                  <td className="px-3 py-2 whitespace-nowrap text-gray-600">
+                    {o.bestPitcher ? <><PlayerLink id={o.bestPitcher.id} name={o.bestPitcher.name} /> <span className="text-xs text-gray-400">{o.bestPitcher.displayInnings}回 自責{o.bestPitcher.er} {o.bestPitcher.so}奪三振</span></> : '-'}
+                  </td>
+                </tr>
+                {expandedOpponent === o.opponent && o.games.map(game => (
+                  <tr key={game.id} onClick={() => openGame(game.id)} className="bg-gray-50 hover:bg-gray-100 cursor-pointer text-xs">
+                    <td className="pl-8 pr-3 py-2 whitespace-nowrap text-gray-600">{game.date}</td>
+                    <td className="px-3 py-2"><ResultBadge result={game.result} /></td>
+                    <td className="px-3 py-2 whitespace-nowrap text-gray-700">{game.runsScored} - {game.runsAllowed}</td>
+                    <td colSpan={8} className="px-3 py-2 whitespace-nowrap text-gray-500">{game.venue || '球場不明'}{game.title && ` / ${game.title}`}</td>
+                  </tr>
+                ))}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+        {opponentStats.length === 0 && <p className="text-center text-gray-400 py-8">集計対象の試合がありません</p>}
+      </div>
+      <p className="text-xs text-gray-400 mt-2">好成績の打者はOPS（3打席以上）、投手は防御率（1イニング以上）で選んでいます。行をクリックすると試合一覧を表示します。</p>
+    </Card>
+  );
+
+  const SplitsTable = ({ splits, label }) => (
+    <div className="overflow-x-auto">
+      <table className="min-w-full divide-y divide-gray-200 text-sm">
+        <thead className="bg-gray-50">
+          <tr>
+            {[label, '試合', '勝-敗-分', '打席', '打率', '出塁率', '長打率', 'OPS', '投球回', '防御率', 'WHIP', 'K/BB'].map(h => (
+              <th key={h} className="px-3 py-3 text-left font-bold text-gray-500 whitespace-nowrap">{h}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="bg-white divide-y divide-gray-200">
+          {splits.map(s => (
+            <tr key={s.key} className="hover:bg-gray-50">
+              <td className="px-3 py-2 whitespace-nowrap font-medium text-gray-900">{s.key}</td>
+              <td className="px-3 py-2 text-gray-600">{s.games}</td>
+              <td className="px-3 py-2 whitespace-nowrap text-gray-600">{s.wins}-{s.losses}-{s.ties}</td>
+              <td className="px-3 py-2 text-gray-600">{s.batting ? s.batting.pa : '-'}</td>
+              <td className="px-3 py-2 bg-yellow-50 font-bold text-gray-900">{s.batting ? formatRate(s.batting.avg) : '-'}</td>
+              <td className="px-3 py-2 text-gray-600">{s.batting ? formatRate(s.batting.obp) : '-'}</td>
+              <td className="px-3 py-2 text-gray-600">{s.batting ? formatRate(s.batting.slg) : '-'}</td>
+              <td className="px-3 py-2 text-gray-900 font-bold">{s.batting ? formatRate(s.batting.ops) : '-'}</td>
+              <td className="px-3 py-2 text-gray-600">{s.pitching ? s.pitching.displayInnings : '-'}</td>
+              <td className="px-3 py-2 bg-yellow-50 font-bold text-gray-900">{s.pitching ? s.pitching.era.toFixed(2) : '-'}</td>
+              <td className="px-3 py-2 text-gray-600">{s.pitching ? s.pitching.whip.toFixed(2) : '-'}</td>
+              <td className="px-3 py-2 text-gray-400">{s.pitching ? s.pitching.kbb.toFixed(2) : '-'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {splits.length === 0 && <p className="text-center text-gray-400 py-8">集計対象の成績がありません</p>}
+    </div>
+  );
+
+  const SplitsPanel = () => {
+    const chartData = splitStats.map(s => ({ key: s.key, ops: s.batting?.ops ?? null, era: s.pitching?.era ?? null }));
+    return (
+      <div className="space-y-4">
+        <Card>
+          <div className="flex flex-wrap gap-4 items-center justify-between">
+            <select
+              value={splitsPlayerId}
+              onChange={e => setSplitsPlayerId(e.target.value)}
+              className="block w-full sm:w-64 rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm p-2 border"
+            >
+              <option value="">チーム全体</option>
+              {playerList.map(p => (
+                <option key={p.id} value={p.id}>{p.number} - {p.name}</option>
+              ))}
+            </select>
+            <div className="flex space-x-2 bg-gray-100 p-1 rounded-lg">
+              <button
+                onClick={() => setSplitsKey('venue')}
+                className={`px-4 py-2 rounded-md text-sm font-medium transition-all ${splitsKey === 'venue' ? 'bg-white text-primary-600 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}
+              >球場別</button>
+              <button
+                onClick={() => setSplitsKey('side')}
+                className={`px-4 py-2 rounded-md text-sm font-medium transition-all ${splitsKey === 'side' ? 'bg-white text-primary-600 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}
+              >先攻・後攻別</button>
+            </div>
+          </div>
+        </Card>
+
+        <Card className="overflow-hidden">
+          <SplitsTable splits={splitStats} label={splitsKey === 'venue' ? '球場' : '先攻・後攻'} />
+          <p className="text-xs text-gray-400 mt-2">勝-敗-分は、その{splitsKey === 'venue' ? '球場' : '条件'}で{splitsPlayerId ? '選手が出場した' : ''}試合のチームの勝敗です。試合数が少ない区分の成績は参考程度にご覧ください。</p>
+        </Card>
+
+        {splitStats.length > 0 && (
+          <Card className="h-96 flex flex-col">
+            <h3 className="text-lg font-bold text-gray-700 mb-4">{splitsKey === 'venue' ? '球場別' : '先攻・後攻別'} OPSと防御率</h3>
+            <ResponsiveContainer width="100%" height="90%">
+              <BarChart data={chartData} margin={{ top: 5, right: 20, left: 0, bottom: 40 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="key" tick={{fontSize: 10}} angle={-30} textAnchor="end" height={60} interval={0} />
+                <YAxis yAxisId="left" orientation="left" stroke="#3b82f6" tickFormatter={(val) => formatRate(val)} />
+                <YAxis yAxisId="right" orientation="right" stroke="#ef4444" />
+                <RechartsTooltip formatter={(value, name) => name === 'OPS' ? formatRate(value) : value} />
+                <Legend />
+                <Bar yAxisId="left" dataKey="ops" name="OPS" fill="#3b82f6" />
+                <Bar yAxisId="right" dataKey="era" name="防御率" fill="#ef4444" />
+              </BarChart>
+            </ResponsiveContainer>
+          </Card>
+        )}
+      </div>
+    );
+  };
+
+  const GameListView = () => (
+    <div className="space-y-4">
+      <FilterPanel />
+      <div className="flex space-x-2 bg-gray-100 p-1 rounded-lg w-fit">
+        <button
+          onClick={() => setGameListMode('games')}
+          className={`px-4 py-2 rounded-md text-sm font-medium transition-all ${gameListMode === 'games' ? 'bg-white text-primary-600 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}
+        >試合一覧</button>
+        <button
+          onClick={() => setGameListMode('opponents')}
+          className={`px-4 py-2 rounded-md text-sm font-medium transition-all ${gameListMode === 'opponents' ? 'bg-white text-primary-600 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}
+        >対戦相手別</button>
+        <button
+          onClick={() => setGameListMode('splits')}
+          className={`px-4 py-2 rounded-md text-sm font-medium transition-all ${gameListMode === 'splits' ? 'bg-white text-primary-600 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}
+        >球場・先攻/後攻</button>
+      </div>
+      {gameListMode === 'opponents' && <OpponentsTable />}
+      {gameListMode === 'splits' && <SplitsPanel />}
+      {gameListMode === 'games' && (
+        <Card className="overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  {['日付', '対戦相手', '結果', 'スコア', 'タイトル', '球場'].map(h => (
+                    <th key={h} className="px-3 py-3 text-left font-bold text-gray-500">{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {[...gameList].reverse().map(game => (
+                  <tr key={game.id} onClick={() => openGame(game.id)} className="hover:bg-gray-50 cursor-pointer">
+                    <td className="px-3 py-2 whitespace-nowrap text-gray-600">{game.date}</td>
+                    <td className="px-3 py-2 whitespace-nowrap font-medium text-gray-900">{game.opponent}</td>
+                    <td className="px-3 py-2"><ResultBadge result={game.result} /></td>
+                    <td className="px-3 py-2 whitespace-nowrap text-gray-600">
+                      {game.runsScored} - {game.runsAllowed}
+                      {(game.scoreMismatch || !game.officialScore) && <AlertCircle size={12} className="inline ml-1 text-amber-500" />}
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap text-gray-600">{game.title || '-'}</td>
+                    <td className="px-3 py-2 whitespace-nowrap text-gray-400">{game.venue || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {gameList.length === 0 && <p className="text-center text-gray-400 py-8">集計対象の試合がありません</p>}
+          </div>
+        </Card>
+      )}
+    </div>
+  );
+
+  const GameView = () => {
+    const game = allGames.find(g => g.id === selectedGameId);
+    if (!game) {
+      return (
+        <Card>
+          <p className="text-gray-500">試合ID「{selectedGameId}」の試合が見つかりません。</p>
+          <button onClick={() => handleNavClick('game')} className="mt-3 text-sm text-primary-600 hover:text-primary-800">試合一覧に戻る</button>
+        </Card>
+      );
+    }
+
+    // Step through the filtered list when the game is in it, otherwise through every game
+    const games = gameList.some(g => g.id === game.id) ? gameList : allGames;
+    const index = games.findIndex(g => g.id === game.id);
+    const prevGame = games[index - 1];
+    const nextGame = games[index + 1];
+
+    const battingRows = resolvedBattingData.filter(row => row['試合ID'] === game.id);
+    const pitchingRows = resolvedPitchingData.filter(row => row['試合ID'] === game.id);
+    const total = (rows, col) => rows.reduce((acc, row) => acc + (row[col] || 0), 0);
+    const decision = (row) => [row['勝数'] && '勝', row['負数'] && '敗', row['セーブ'] && 'S', row['ホールド'] && 'H'].filter(Boolean).join(' ');
+    const profile = getRuleProfile({ 'タイトル': game.title }, ruleSettings);
+
+    return (
+      <div className="space-y-4">
+        <div className="flex justify-between items-center text-sm">
+          <button onClick={() => prevGame && openGame(prevGame.id)} disabled={!prevGame} className="text-primary-600 hover:text-primary-800 disabled:text-gray-300">
+            ← {prevGame ? `${prevGame.date} vs ${prevGame.opponent}` : '前の試合'}
+          </button>
+          <button onClick={() => handleNavClick('game')} className="text-gray-500 hover:text-gray-700">試合一覧</button>
+          <button onClick={() => nextGame && openGame(nextGame.id)} disabled={!nextGame} className="text-primary-600 hover:text-primary-800 disabled:text-gray-300">
+            {nextGame ? `${nextGame.date} vs ${nextGame.opponent}` : '次の試合'} →
+          </button>
+        </div>
+
+        <Card>
+          <div className="flex flex-wrap justify-between items-start gap-4">
+            <div>
+              <p className="text-sm text-gray-500">{game.date}{game.title && ` / ${game.title}`}{game.category && ` / ${game.category}`}</p>
+              <h2 className="text-2xl font-bold text-gray-800 mt-1">vs {game.opponent}</h2>
+              <p className="text-sm text-gray-500 mt-1">
+                {game.venue || '球場不明'}
+                {game.side && ` / ${game.side === 'away' ? '先攻' : '後攻'}`}
+                {game.squad && ` / ${game.squad}`}
+                {` / ${profile.name}`}
+              </p>
+            </div>
+            <div className="text-right">
+              <div className="flex items-center justify-end gap-3">
+                <ResultBadge result={game.result} />
+                <span className="text-3xl font-bold text-gray-800">{game.runsScored} - {game.runsAllowed}</span>
+              </div>
+              {game.scoreText && <p className="text-xs text-gray-400 mt-1">スコア: {game.scoreText}</p>}
+              {game.scoreMismatch && (
+                <p className="text-xs text-amber-600 mt-1">選手成績の合計（得点 {game.playerRunsScored}{game.hasPitching && ` / 失点 ${game.playerRunsAllowed}`}）が公式スコアと一致しません</p>
+              )}
+              {!game.officialScore && <p className="text-xs text-amber-600 mt-1">公式スコアを読み取れないため、選手成績の合計で表示しています</p>}
+            </div>
+          </div>
+        </Card>
+
+        <Card className="overflow-hidden">
+          <h3 className="text-lg font-bold text-gray-700 mb-3">打撃成績</h3>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left font-bold text-gray-500">#</th>
+                  <th className="px-3 py-2 text-left font-bold text-gray-500">名前</th>
+                  {GAME_BATTING_COLUMNS.map(col => <th key={col} className="px-3 py-2 text-left font-bold text-gray-500 whitespace-nowrap">{col}</th>)}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {battingRows.map(row => (
+                  <tr key={playerKey(row)} className="hover:bg-gray-50">
+                    <td className="px-3 py-2 whitespace-nowrap text-gray-500">{row['背番号']}</td>
+                    <td className="px-3 py-2 whitespace-nowrap font-medium text-gray-900"><PlayerLink id={playerKey(row)} name={row['名前']} /></td>
+                    {GAME_BATTING_COLUMNS.map(col => <td key={col} className="px-3 py-2 text-gray-600">{row[col] ?? '-'}</td>)}
+                  </tr>
+                ))}
+                <tr className="bg-gray-50 font-bold">
+                  <td className="px-3 py-2"></td>
+                  <td className="px-3 py-2 text-gray-700">合計</td>
+                  {GAME_BATTING_COLUMNS.map(col => <td key={col} className="px-3 py-2 text-gray-700">{total(battingRows, col)}</td>)}
+                </tr>
+              </tbody>
+            </table>
+            {battingRows.length === 0 && <p className="text-center text-gray-400 py-4">打撃成績がありません</p>}
+          </div>
+        </Card>
+
+        <Card className="overflow-hidden">
+          <h3 className="text-lg font-bold text-gray-700 mb-3">投手成績</h3>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left font-bold text-gray-500">#</th>
+                  <th className="px-3 py-2 text-left font-bold text-gray-500">名前</th>
+                  <th className="px-3 py-2 text-left font-bold text-gray-500"></th>
+                  <th className="px-3 py-2 text-left font-bold text-gray-500">回</th>
+                  {GAME_PITCHING_COLUMNS.map(col => <th key={col} className="px-3 py-2 text-left font-bold text-gray-500 whitespace-nowrap">{col}</th>)}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {pitchingRows.map(row => (
+                  <tr key={playerKey(row)} className="hover:bg-gray-50">
+                    <td className="px-3 py-2 whitespace-nowrap text-gray-500">{row['背番号']}</td>
+                    <td className="px-3 py-2 whitespace-nowrap font-medium text-gray-900"><PlayerLink id={playerKey(row)} name={row['名前']} />{row['先発'] ? <span className="ml-1 text-xs text-gray-400">(先発)</span> : null}</td>
+                    <td className="px-3 py-2 whitespace-nowrap text-red-600 font-bold">{decision(row)}</td>
+                    <td className="px-3 py-2 text-gray-900">{formatInnings(row['アウト数'] || 0)}</td>
+                    {GAME_PITCHING_COLUMNS.map(col => (
+                      <td key={col} className={`px-3 py-2 ${col === '球数' && profile.pitchLimit && row[col] > profile.pitchLimit ? 'text-red-600 font-bold' : 'text-gray-600'}`}>{row[col] ?? '-'}</td>
+                    ))}
+                  </tr>
+                ))}
+                <tr className="bg-gray-50 font-bold">
+                  <td className="px-3 py-2"></td>
+                  <td className="px-3 py-2 text-gray-700">合計</td>
+                  <td className="px-3 py-2"></td>
+                  <td className="px-3 py-2 text-gray-700">{formatInnings(total(pitchingRows, 'アウト数'))}</td>
+                  {GAME_PITCHING_COLUMNS.map(col => <td key={col} className="px-3 py-2 text-gray-700">{total(pitchingRows, col)}</td>)}
+                </tr>
+              </tbody>
+            </table>
+            {pitchingRows.length === 0 && <p className="text-center text-gray-400 py-4">投手成績がありません</p>}
+          </div>
+          {profile.pitchLimit > 0 && <p className="text-xs text-gray-400 mt-2">球数が制限（{profile.pitchLimit}球）を超えた投手は赤字で表示しています。</p>}
+        </Card>
+      </div>
+    );
+  };
+
+  const WORKLOAD_STATUS = {
+    available: { text: '登板可', className: 'bg-green-100 text-green-700' },
+    limited: { text: '球数制限あり', className: 'bg-amber-100 text-amber-700' },
+    rest: { text: '休養', className: 'bg-red-100 text-red-700' },
+  };
+
+  const WorkloadView = () => {
+    const days = Array.from({ length: 14 }, (_, i) => toDateKey(new Date(parseDate(workloadDate).getTime() - (13 - i) * DAY_MS)));
+    const limitSelect = (key, options) => (
+      <select value={workloadSettings[key]} onChange={(e) => setWorkloadSettings({ ...workloadSettings, [key]: Number(e.target.value) })} className="border border-gray-300 rounded-md p-1 text-sm">
+        <option value={0}>なし</option>
+        {options.map(n => <option key={n} value={n}>{n}球</option>)}
+      </select>
+    );
+    const updateRestTier = (idx, patch) => {
+      const restTiers = workloadSettings.restTiers.map((t, i) => i === idx ? { ...t, ...patch } : t).sort((a, b) => a.minPitches - b.minPitches);
+      setWorkloadSettings({ ...workloadSettings, restTiers });
+    };
+
+    return (
+      <div className="space-y-6">
+        <Card>
+          <div className="flex flex-wrap gap-6 items-end">
+            <div>
+              <label className="block text-xs font-medium text-gray-500 mb-1">基準日</label>
+              <input type="date" value={workloadDate} onChange={(e) => e.target.value && setWorkloadDate(e.target.value)} className="border border-gray-300 rounded-md p-1 text-sm" />
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-500 mb-1">1日の上限</label>
+              {limitSelect('dailyLimit', [50, 60, 70, 80, 85, 100])}
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-500 mb-1">7日間の上限</label>
+              {limitSelect('weeklyLimit', [150, 200, 250, 300, 350])}
+            </div>
+            <div>
+              <label className="block text-xs font-medium text-gray-500 mb-1">土日の上限</label>
+              {limitSelect('weekendLimit', [70, 100, 120, 140, 150])}
+            </div>
+          </div>
+          <div className="mt-4">
+            <p className="text-xs font-medium text-gray-500 mb-1">登板後の休養日数</p>
+            <div className="flex flex-wrap gap-3 text-sm">
+              {workloadSettings.restTiers.map((t, idx) => (
+                <span key={idx} className="flex items-center gap-1 bg-gray-50 rounded px-2 py-1">
+                  <button onClick={() => { const n = Number(window.prompt("球数（以上）を入力してください", t.minPitches)); if (n > 0) updateRestTier(idx, { minPitches: n }); }} className="text-primary-600 hover:text-primary-800">{t.minPitches}球以上</button>
+                  →
+                  <select value={t.days} onChange={(e) => updateRestTier(idx, { days: Number(e.target.value) })} className="border border-gray-300 rounded-md p-0.5 text-sm">
+                    {[0, 1, 2, 3, 4, 5].map(d => <option key={d} value={d}>{d}日</option>)}
+                  </select>
+                </span>
+              ))}
+            </div>
+          </div>
+        </Card>
+
+        <Card className="overflow-hidden">
+          <h3 className="text-lg font-bold text-gray-700 mb-3">{workloadDate} の登板可否</h3>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  {['#', '名前', '状態', '今日投げられる球数', '前回登板', '経過日数', '前回の球数', '必要な休養', '直近7日間', '直近の土日'].map(h => (
+                    <th key={h} className="px-3 py-2 text-left font-bold text-gray-500 whitespace-nowrap">{h}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {workload.map(p => (
+                  <tr key={p.id} className="hover:bg-gray-50">
+                    <td className="px-3 py-2 whitespace-nowrap text-gray-500">{p.number}</td>
+                    <td className="px-3 py-2 whitespace-nowrap font-medium text-gray-900"><PlayerLink id={p.id} name={p.name} /></td>
+                    <td className="px-3 py-2 whitespace-nowrap">
+                      <span className={`inline-block px-2 py-0.5 rounded text-xs font-bold ${WORKLOAD_STATUS[p.status].className}`}>{WORKLOAD_STATUS[p.status].text}</span>
+                      {p.restUntil && <span className="ml-2 text-xs text-gray-400">{p.restUntil}から登板可</span>}
+                    </td>
+                    <td className="px-3 py-2 text-gray-900 font-bold">{p.status === 'rest' ? 0 : Number.isFinite(p.remaining) ? `${p.remaining}球` : '-'}</td>
+                    <td className="px-3 py-2 whitespace-nowrap text-gray-600">{p.lastDate || '-'}</td>
+                    <td className="px-3 py-2 text-gray-600">{p.daysSince !== null ? `${p.daysSince}日` : '-'}</td>
+                    <td className="px-3 py-2 text-gray-600">{p.lastDate ? `${p.lastPitches}球` : '-'}</td>
+                    <td className="px-3 py-2 text-gray-600">{p.restNeeded > 0 ? `${p.restNeeded}日` : '-'}</td>
+                    <td className={`px-3 py-2 ${workloadSettings.weeklyLimit > 0 && p.weekTotal > workloadSettings.weeklyLimit ? 'text-red-600 font-bold' : 'text-gray-600'}`}>{p.weekTotal}球</td>
+                    <td className={`px-3 py-2 ${workloadSettings.weekendLimit > 0 && p.weekendTotal > workloadSettings.weekendLimit ? 'text-red-600 font-bold' : 'text-gray-600'}`}>{p.weekendTotal}球</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {workload.length === 0 && <p className="text-center text-gray-400 py-8">投手成績がありません</p>}
+          </div>
+          <p className="text-xs text-gray-400 mt-2">全ての試合（フィルタに関係なく、A軍・B軍の両方）の投手成績から集計しています。基準日より後の登板は含みません。</p>
+        </Card>
+
+        <Card className="overflow-hidden">
+          <h3 className="text-lg font-bold text-gray-700 mb-3">日別の球数（直近14日間）</h3>
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-xs">
+              <thead>
+                <tr>
+                  <th className="px-2 py-1 text-left font-bold text-gray-500">名前</th>
+                  {days.map(dk => (
+                    <th key={dk} className={`px-2 py-1 text-center font-medium whitespace-nowrap ${[0, 6].includes(parseDate(dk).getDay()) ? 'text-red-500' : 'text-gray-500'}`}>{dk.substring(5).replace('-', '/')}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {workload.filter(p => days.some(dk => p.daily[dk])).map(p => (
+                  <tr key={p.id} className="border-t">
+                    <td className="px-2 py-1 whitespace-nowrap font-medium text-gray-900"><PlayerLink id={p.id} name={p.name} /></td>
+                    {days.map(dk => (
+                      <td key={dk} className={`px-2 py-1 text-center ${!p.daily[dk] ? 'text-gray-300' : workloadSettings.dailyLimit > 0 && p.daily[dk] > workloadSettings.dailyLimit ? 'bg-red-100 text-red-700 font-bold' : 'bg-primary-50 text-primary-700'}`}>
+                        {p.daily[dk] ?? '・'}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {!workload.some(p => days.some(dk => p.daily[dk])) && <p className="text-center text-gray-400 py-4">この期間の登板はありません</p>}
+          </div>
+        </Card>
+
+        <Card>
+          <h3 className="text-lg font-bold text-gray-700 mb-3">上限超過の記録</h3>
+          {workloadAlertList.length > 0 ? (
+            <ul className="space-y-1 text-sm max-h-80 overflow-y-auto">
+              {workloadAlertList.map((a, idx) => (
+                <li key={idx} className="flex items-center gap-3 bg-red-50 rounded px-2 py-1">
+                  <AlertCircle size={14} className="text-red-500 flex-shrink-0" />
+                  <span className="text-gray-500 whitespace-nowrap">{a.date}</span>
+                  <span className="font-medium text-gray-900 whitespace-nowrap">{a.name}</span>
+                  <span className="text-red-700">{a.message}</span>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-gray-400 text-center py-4">上限を超えた登板はありません</p>
+          )}
+        </Card>
+      </div>
+    );
+  };
+
+  const PlayerGameLog = ({ battingLog, pitchingLog }) => {
+    const [logType, setLogType] = useState(battingLog.length > 0 || pitchingLog.length === 0 ? 'batting' : 'pitching');
+    const [sortConfig, setSortConfig] = useState({ key: 'order', direction: 'desc' });
+    const requestSort = (key) => {
+        let direction = 'desc';
+        if (sortConfig.key === key && sortConfig.direction === 'desc') direction = 'asc';
+        setSortConfig({ key, direction });
+    };
+
+    const isBatting = logType === 'batting';
+    const log = isBatting ? battingLog : pitchingLog;
+    const gamesById = new Map(allGames.map(g => [g.id, g]));
+    // Summary columns live on the entry, stat columns on the source row
+    const valueOf = (entry, key) => key in entry ? entry[key] : (entry.row[key] || 0);
+    const sortedLog = [...log].sort((a, b) => {
+      const valA = valueOf(a, sortConfig.key);
+      const valB = valueOf(b, sortConfig.key);
+      if (valA < valB) return sortConfig.direction === 'asc' ? -1 : 1;
+      if (valA > valB) return sortConfig.direction === 'asc' ? 1 : -1;
+      return 0;
+    });
+
+    const headers = [
+      { k: 'order', l: '日付' }, { k: 'opponent', l: '対戦相手' }, { k: 'title', l: 'タイトル' },
+      ...(isBatting
+        ? GAME_BATTING_COLUMNS.map(col => ({ k: col, l: col }))
+        : [{ k: 'アウト数', l: '回' }, ...GAME_PITCHING_COLUMNS.map(col => ({ k: col, l: col }))]),
+      ...(isBatting
+        ? [{ k: 'seasonAvg', l: '打率(累計)' }, { k: 'seasonOps', l: 'OPS(累計)' }]
+        : [{ k: 'seasonEra', l: '防御率(累計)' }, { k: 'seasonWhip', l: 'WHIP(累計)' }]),
+    ];
+    const statColumns = isBatting ? GAME_BATTING_COLUMNS : GAME_PITCHING_COLUMNS;
+
+    return (
+      <Card className="overflow-hidden">
+        <div className="flex flex-wrap gap-4 items-center justify-between mb-3">
+          <h3 className="text-lg font-bold text-gray-700">試合別成績</h3>
+          <div className="flex space-x-2 bg-gray-100 p-1 rounded-lg">
+            <button
+              onClick={() => setLogType('batting')}
+              className={`px-4 py-2 rounded-md text-sm font-medium transition-all ${isBatting ? 'bg-white text-primary-600 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}
+            >打撃</button>
+            <button
+              onClick={() => setLogType('pitching')}
+              className={`px-4 py-2 rounded-md text-sm font-medium transition-all ${!isBatting ? 'bg-white text-primary-600 shadow-sm' : 'text-gray-500 hover:text-gray-700'}`}
+            >投手</button>
+          </div>
+        </div>
+        <div className="overflow-x-auto max-h-[32rem] overflow-y-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50 sticky top-0">
+              <tr>
+                {headers.map(h => (
+                  <th key={h.k} onClick={() => requestSort(h.k)} className={`px-3 py-3 text-left font-bold text-gray-500 whitespace-nowrap cursor-pointer hover:bg-gray-100 ${sortConfig.key === h.k ? 'bg-gray-100 text-primary-600' : ''}`}>
+                    {h.l}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {sortedLog.map(entry => {
+                const game = gamesById.get(entry.gameId);
+                return (
+                  <tr key={entry.gameId} onClick={() => openGame(entry.gameId)} className={`cursor-pointer ${entry.highlight ? 'bg-green-50 hover:bg-green-100' : 'hover:bg-gray-50'}`}>
+                    <td className="px-3 py-2 whitespace-nowrap text-gray-600">
+                      {entry.row['日付']}
+                      {game && <span className="ml-2"><ResultBadge result={game.result} /></span>}
+                    </td>
+                    <td className="px-3 py-2 whitespace-nowrap font-medium text-gray-900">{entry.opponent}</td>
+                    <td className="px-3 py-2 whitespace-nowrap text-gray-600">{entry.title || '-'}</td>
+                    {!isBatting && <td className="px-3 py-2 text-gray-900">{formatInnings(entry.row['アウト数'] || 0)}</td>}
+                    {statColumns.map(col => (
+                      <td key={col} className={`px-3 py-2 ${col === (isBatting ? '安打' : '失点') && entry.highlight ? 'text-green-700 font-bold' : 'text-gray-600'}`}>{entry.row[col] ?? '-'}</td>
+                    ))}
+                    {isBatting ? (
+                      <>
+                        <td className="px-3 py-2 bg-yellow-50 font-bold text-gray-900">{formatRate(entry.seasonAvg)}</td>
+                        <td className="px-3 py-2 text-gray-900">{formatRate(entry.seasonOps)}</td>
+                      </>
+                    ) : (
+                      <>
+                        <td className="px-3 py-2 bg-yellow-50 font-bold text-gray-900">{entry.seasonEra.toFixed(2)}</td>
+                        <td className="px-3 py-2 text-gray-900">{entry.seasonWhip.toFixed(2)}</td>
+                      </>
+                    )}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          {log.length === 0 && <p className="text-center text-gray-400 py-8">集計対象の試合がありません</p>}
+        </div>
+        <p className="text-xs text-gray-400 mt-2">
+          {isBatting ? '2安打以上の試合' : '1アウト以上を取って失点0の登板'}を緑で表示しています。累計はその試合終了時点の年度通算（フィルタに関係なくその年の全試合）です。行をクリックすると試合のページを開きます。
+        </p>
+      </Card>
+    );
+  };
+
+  const PlayerProfileView = () => {
+    const player = rosterPlayers.find(p => p.id === profilePlayerId);
+    if (!player) {
+      return (
+        <Card>
+          <p className="text-gray-500">選手「{profilePlayerId}」が見つかりません。</p>
+          <button onClick={() => handleNavClick('batting')} className="mt-3 text-sm text-primary-600 hover:text-primary-800">打撃成績に戻る</button>
+        </Card>
+      );
+    }
+
+    const ownRows = (rows) => rows.filter(row => playerKey(row) === player.id);
+    const seasonOf = (row) => String(parseDate(row['日付']).getFullYear());
+    const datasetBatting = ownRows(resolvedBattingData);
+    const datasetPitching = ownRows(resolvedPitchingData);
+    const careerBatting = ownRows(careerData.batting);
+    const careerPitching = ownRows(careerData.pitching);
+    // Seasons and 通算 span every dataset; データセット計 is the current dataset on its own
+    const seasonBatting = [
+      ...aggregateBatting(careerBatting, seasonOf).sort((a, b) => a.id.localeCompare(b.id)),
+      ...aggregateBatting(datasetBatting, () => 'データセット計'),
+      ...aggregateBatting(careerBatting, () => '通算'),
+    ];
+    const seasonPitching = [
+      ...aggregatePitching(careerPitching, ruleSettings, seasonOf).sort((a, b) => a.id.localeCompare(b.id)),
+      ...aggregatePitching(datasetPitching, ruleSettings, () => 'データセット計'),
+      ...aggregatePitching(careerPitching, ruleSettings, () => '通算'),
+    ];
+
+    // Everything below the season tables follows the filters
+    const battingRows = ownRows(filteredBattingData);
+    const pitchingRows = ownRows(filteredPitchingData);
+    const battingGames = new Set(battingRows.map(row => row['試合ID']));
+    const pitchingGames = new Set(pitchingRows.map(row => row['試合ID']));
+    const categorySplits = computeSplits(battingRows, pitchingRows, allGames, (row) => row['タイトル'] || 'タイトルなし', ruleSettings);
+    const opponentSplits = computeSplits(battingRows, pitchingRows, allGames, (row) => getOpponent(row, teamSettings), ruleSettings);
+    const battingTrend = cumulativeBattingTrend(battingRows, 'gameId', teamSettings);
+    const pitchingTrend = cumulativePitchingTrend(pitchingRows, 'gameId', teamSettings, ruleSettings);
+
+    return (
+      <div className="space-y-6">
+        <Card>
+          <div className="flex flex-wrap gap-4 items-start justify-between">
+            <div>
+              <h2 className="text-2xl font-bold text-gray-900">
+                <span className="text-gray-400 mr-2">#{player.number}</span>{player.name}
+              </h2>
+              <p className="text-sm text-gray-500 mt-1">出場 {player.games} 試合</p>
+              {player.names.length > 1 && <p className="text-xs text-gray-400">別名: {player.names.filter(n => n !== player.name).join(', ')}</p>}
+              {player.numberHistory.length > 1 && (
+                <p className="text-xs text-gray-400">背番号: {player.numberHistory.map(h => `#${h.number} (${h.from}〜)`).join(' → ')}</p>
+              )}
+            </div>
+            <select
+              value={player.id}
+              onChange={e => openPlayer(e.target.value)}
+              className="block w-full sm:w-64 rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 sm:text-sm p-2 border"
+            >
+              {playerList.map(p => (
+                <option key={p.id} value={p.id}>{p.number} - {p.name}</option>
+              ))}
+            </select>
+          </div>
+        </Card>
+
+        {careerBatting.length > 0 && (
+          <Card className="overflow-hidden">
+            <h3 className="text-lg font-bold text-gray-700 mb-3">年度別打撃成績</h3>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {['年度', '試合', '打席', '打数', '安打', '本塁打', '打点', '盗塁', '打率', '出塁率', '長打率', 'OPS'].map(h => (
+                      <th key={h} className="px-3 py-3 text-left font-bold text-gray-500 whitespace-nowrap">{h}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {seasonBatting.map(s => (
+                    <tr key={s.id} className={['データセット計', '通算'].includes(s.id) ? 'bg-gray-50 font-bold' : 'hover:bg-gray-50'}>
+                      <td className="px-3 py-2 whitespace-nowrap font-medium text-gray-900">{s.id}</td>
+                      <td className="px-3 py-2 text-gray-600">{s.games}</td>
+                      <td className="px-3 py-2 text-gray-600">{s.pa}</td>
+                      <td className="px-3 py-2 text-gray-600">{s.ab}</td>
+                      <td className="px-3 py-2 text-gray-600">{s.h}</td>
+                      <td className="px-3 py-2 text-gray-600">{s.hr}</td>
+                      <td className="px-3 py-2 text-gray-600">{s.rbi}</td>
+                      <td className="px-3 py-2 text-gray-600">{s.sb}</td>
+                      <td className="px-3 py-2 bg-yellow-50 font-bold text-gray-900">{formatRate(s.avg)}</td>
+                      <td className="px-3 py-2 text-gray-600">{formatRate(s.obp)}</td>
+                      <td className="px-3 py-2 text-gray-600">{formatRate(s.slg)}</td>
+                      <td className="px-3 py-2 text-gray-900 font-bold">{formatRate(s.ops)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </Card>
+        )}
+
+        {careerPitching.length > 0 && (
+          <Card className="overflow-hidden">
+            <h3 className="text-lg font-bold text-gray-700 mb-3">年度別投手成績</h3>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {['年度', '登板', '先発', '勝', '敗', 'S', '投球回', '奪三振', '与四死球', '防御率', 'WHIP', 'K/BB'].map(h => (
+                      <th key={h} className="px-3 py-3 text-left font-bold text-gray-500 whitespace-nowrap">{h}</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {seasonPitching.map(s => (
+                    <tr key={s.id} className={['データセット計', '通算'].includes(s.id) ? 'bg-gray-50 font-bold' : 'hover:bg-gray-50'}>
+                      <td className="px-3 py-2 whitespace-nowrap font-medium text-gray-900">{s.id}</td>
+                      <td className="px-3 py-2 text-gray-600">{s.games}</td>
+                      <td className="px-3 py-2 text-gray-600">{s.starts}</td>
+                      <td className="px-3 py-2 text-gray-600">{s.win}</td>
+                      <td className="px-3 py-2 text-gray-600">{s.loss}</td>
+                      <td className="px-3 py-2 text-gray-600">{s.sv}</td>
+                      <td className="px-3 py-2 text-gray-600">{s.displayInnings}</td>
+                      <td className="px-3 py-2 text-gray-600">{s.so}</td>
+                      <td className="px-3 py-2 text-gray-600">{s.bb + s.hbp}</td>
+                      <td className="px-3 py-2 bg-yellow-50 font-bold text-gray-900">{s.era.toFixed(2)}</td>
+                      <td className="px-3 py-2 text-gray-600">{s.whip.toFixed(2)}</td>
+                      <td className="px-3 py-2 text-gray-400">{s.kbb.toFixed(2)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="text-xs text-gray-400 mt-2">年度別成績と通算はフィルターに関係なく、すべてのデータセットの試合を集計します（同じ試合が複数のデータセットにあっても1回だけ数えます）。データセット計は現在のデータセットだけの合計です。</p>
+          </Card>
+        )}
+
+        <FilterPanel />
+
+        <PlayerGameLog
+          battingLog={buildGameLog(datasetBatting, 'batting', teamSettings, ruleSettings).filter(e => battingGames.has(e.gameId))}
+          pitchingLog={buildGameLog(datasetPitching, 'pitching', teamSettings, ruleSettings).filter(e => pitchingGames.has(e.gameId))}
+        />
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {battingTrend.length > 0 && (
+            <Card className="h-80">
+              <h3 className="text-lg font-bold text-gray-700 mb-4">累積打率・OPS推移</h3>
+              <ResponsiveContainer width="100%" height="85%">
+                <LineChart data={battingTrend}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="periodKey" tick={{fontSize: 10}} />
+                  <YAxis domain={[0, 'auto']} />
+                  <RechartsTooltip />
+                  <Legend />
+                  <Line type="stepAfter" dataKey="avg" name="累積打率" stroke="#3b82f6" strokeWidth={2} dot={{r: 3}} />
+                  <Line type="stepAfter" dataKey="ops" name="累積OPS" stroke="#f59e0b" strokeWidth={2} dot={{r: 3}} />
+                </LineChart>
+              </ResponsiveContainer>
+            </Card>
+          )}
+          {pitchingTrend.length > 0 && (
+            <Card className="h-80">
+              <h3 className="text-lg font-bold text-gray-700 mb-4">累積防御率・WHIP推移</h3>
+              <ResponsiveContainer width="100%" height="85%">
+                <LineChart data={pitchingTrend}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="periodKey" tick={{fontSize: 10}} />
+                  <YAxis yAxisId="left" domain={[0, 'auto']} />
+                  <YAxis yAxisId="right" orientation="right" domain={[0, 'auto']} />
+                  <RechartsTooltip />
+                  <Legend />
+                  <Line yAxisId="left" type="monotone" dataKey="era" name="累積防御率" stroke="#ef4444" strokeWidth={2} dot={{r: 3}} />
+                  <Line yAxisId="right" type="monotone" dataKey="whip" name="累積WHIP" stroke="#8b5cf6" strokeWidth={2} dot={{r: 3}} />
+                </LineChart>
+              </ResponsiveContainer>
+            </Card>
+          )}
+        </div>
+
+        <Card className="overflow-hidden">
+          <h3 className="text-lg font-bold text-gray-700 mb-3">大会・カテゴリ別</h3>
+          <SplitsTable splits={categorySplits} label="タイトル" />
+        </Card>
+
+        <Card className="overflow-hidden">
+          <h3 className="text-lg font-bold text-gray-700 mb-3">対戦相手別</h3>
+          <SplitsTable splits={opponentSplits} label="対戦相手" />
+          <p className="text-xs text-gray-400 mt-2">勝-敗-分は、この選手が出場した試合のチームの勝敗です。</p>
+        </Card>
+      </div>
+    );
+  };
+
   const ManualView = () => (
     <div className="space-y-6 max-w-4xl mx-auto text-gray-700">
       <Card>
@@ -1912,15 +5204,19 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
                   <li><strong>打撃成績</strong>: ファイル名の末尾が <code className="bg-gray-200 px-1 rounded">_b.csv</code> となるようにしてください。（例: <code className="bg-gray-200 px-1 rounded">team_stats_2025_b.csv</code>）</li>
                   <li><strong>投手成績</strong>: ファイル名の末尾が <code className="bg-gray-200 px-1 rounded">_p.csv</code> となるようにしてください。（例: <code className="bg-gray-200 px-1 rounded">team_stats_2025_p.csv</code>）</li>
                 </ul>
-                <p className="text-xs text-gray-500 mt-1">アプリはファイル名でどちらのデータかを自動的に判別します。</p>
+                <p className="text-xs text-gray-500 mt-1">アプリはファイル名でどちらのデータかを自動的に判別します。文字コードは UTF-8・Shift_JIS のどちらでも読み込めます。</p>
               </div>
               <div>
                 <h4 className="font-semibold">1.2. データのインポート方法</h4>
                 <ol className="list-decimal list-inside mt-2 space-y-1 text-sm">
                   <li>画面上部のナビゲーションから<strong>「データ管理」</strong>タブをクリックします。</li>
-                  <li><strong>「ファイルを選択」</strong>ボタンを押し、準備した打撃・投手両方のCSVファイルを選択します。（複数ファイルを一度に選択可能です）</li>
-                  <li>ファイルが選択されると、データが自動的にインポートされ、ブラウザ内に保存されます。</li>
+                  <li><strong>「ファイルを選択」</strong>ボタンを押し、準備した打撃・投手両方のCSVファイルを選択します。（複数ファイルを一度に選択可能です）画面のどこにでもファイルをドラッグ＆ドロップして読み込むこともできます。CSVをまとめたZIPファイルもそのまま読み込めます。</li>
+                  <li>他のスコアアプリのCSVなど、見出しが標準の列名と異なる場合は「列マッピング」が表示されます。各列に対応する項目を選んで「保存して続行」を押すと、次回から同じ見出しのファイルには自動で適用されます。</li>
+                  <li>Excelブック (.xlsx) も読み込めます。1行目の見出しが打撃・投手CSVと同じ列名になっているシートが、それぞれ打撃・投手データとして取り込まれます。</li>
+                  <li>ファイルが選択されると、追加・更新・変更なしとなる試合と選手の一覧が表示されます。内容を確認して<strong>「取り込む」</strong>を押すと、ブラウザ内に保存されます。</li>
+                  <li>「追加・更新」モードでは既存データに追加され、同じ試合ID・選手IDの行は新しい内容で更新されます。シーズン全体を入れ直す場合は「全て置き換え」を選んでください。</li>
                   <li>「最終更新」に日時が表示されれば、インポートは完了です。</li>
+                  <li>「インポート結果」に、取り込めなかった行（除外）や値が疑わしい行（確認）が行番号付きで表示されます。</li>
                 </ol>
               </div>
             </div>
@@ -1937,13 +5233,32 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
                 <h4 className="font-semibold">打撃成績・投手成績画面</h4>
                 <p className="text-sm mt-1">全選手の集計成績をテーブルで表示します。各列のヘッダーをクリックすると、その指標で選手を並べ替えることができます。</p>
               </div>
+              <div>
+                <h4 className="font-semibold">試合画面</h4>
+                <p className="text-sm mt-1">フィルタ条件に合う試合を一覧表示します。試合をクリックすると（ホーム画面の「試合別 得失点と勝率推移」グラフからも開けます）、その試合の球場・大会・結果と、打者ごと・投手ごとの成績が表示されます。勝敗はCSVの「スコア」（先攻-後攻）から判定し、選手成績の得点・失点の合計と一致しない試合は「データ品質」に表示されます。「前の試合」「次の試合」で順に移動でき、ページのURL（#game=試合ID）を共有すれば同じ試合を直接開けます。「対戦相手別」では、相手チームごとの勝敗・得失点・チーム打率/OPS・防御率/WHIPと好成績の選手を表示し、行をクリックするとその相手との試合一覧が開きます。「球場・先攻/後攻」では、チーム全体または選手ごとの打撃・投手成績を球場別、先攻・後攻別に比較できます。</p>
+              </div>
+              <div>
+                <h4 className="font-semibold">選手ページ</h4>
+                <p className="text-sm mt-1">打撃成績・投手成績・試合・投手管理・分析画面で選手名（ランキングのグラフでは棒や点）をクリックすると、その選手のページが開きます。すべてのデータセットをまとめた年度別・通算の打撃・投手成績（現在のデータセットだけの合計も併記）、試合ごとの成績、累積打率・OPSや累積防御率・WHIPの推移、大会・カテゴリ別と対戦相手別の成績をまとめて確認できます。「試合別成績」は列の見出しをクリックすると並べ替えられ、その試合終了時点の年度通算の打率・OPS（投手は防御率・WHIP）も表示します。2安打以上の試合と、失点0の登板は緑で強調されます。年度別成績以外はフィルタ条件に従います。ページのURL（#player=選手ID）を共有すれば同じ選手を直接開けます。</p>
+              </div>
+              <div>
+                <h4 className="font-semibold">投手管理画面</h4>
+                <p className="text-sm mt-1">投手の肩・肘を守るための画面です。基準日（初期値は今日）時点で、各投手が登板できるか、あと何球投げられるかを、前回登板からの休養日数、直近7日間・土日の球数から判定します。1日・7日間・土日の球数上限と、球数に応じた必要な休養日数はこの画面で変更できます。上限を超えた登板と、大会ルールの球数制限を超えた試合は「上限超過の記録」に表示されます。</p>
+              </div>
               <div>
                 <h4 className="font-semibold">推移画面</h4>
-                <p className="text-sm mt-1">「チーム推移」と「個人推移」を切り替えて、成績が時間と共にどう変化したかを確認できます。個人の場合は選手を選択して詳細な推移をグラフで見ることができます。</p>
+                <p className="text-sm mt-1">「チーム推移」と「個人推移」を切り替えて、成績が時間と共にどう変化したかを確認できます。個人の場合は選手を選択して詳細な推移をグラフで見ることができます。集計単位で「直近N試合」を選ぶと、シーズン通算（累積）の線に、直近3・5・10試合だけで計算した成績を点線で重ねて表示します。通算の数字がほとんど動かないシーズン中盤以降でも、好調・不調の波がわかります。</p>
               </div>
               <div>
                 <h4 className="font-semibold">分析・比較画面</h4>
-                <p className="text-sm mt-1">選手間のパフォーマンスをより深く比較・分析します。「ランキング」で特定の指標の順位を見たり、「相関分析」で2つの指標の関係性を散布図で確認したり、「一括表示」で主要指標のランキングをまとめて見ることができます。</p>
+                <p className="text-sm mt-1">選手間のパフォーマンスをより深く比較・分析します。「ランキング」で特定の指標の順位を見たり、「相関分析」で2つの指標の関係性を散布図で確認したり、「一括表示」で主要指標のランキングをまとめて見ることができます。「調整後」にチェックを入れると、打数・打席が少ない選手の成績を補正して表示します。打率・出塁率・三振率などの率の指標に95%の信頼区間（本当の実力がこの範囲にあると考えられる幅。打数が少ないほど広くなる）を添え、ランキングはチーム平均に近づけた値（少ない打数で .667 を打った選手は、チーム平均寄りの値になります）で並べ、括弧内に実際の成績を表示します。補正するのは打率・出塁率・三振率・被打率などの率の指標だけで、OPS・長打率・防御率・WHIPなどは実際の成績のまま並べます（補正したランキングには「（調整後）」と表示）。打撃成績・投手成績画面でも同じ切り替えで信頼区間を表示できます。ランキング・相関分析・一括表示の対象は、規定打席（1試合あたりの打席数 × 試合数）・規定投球回（1試合あたりの投球回 × 試合数）に達した選手です。試合数はフィルタ条件に合う試合の数で、1試合あたりの値は打撃・投手それぞれ選べます。「規定未満の選手も表示」にチェックを入れると、達していない選手も※印付きで表示します。「選手比較」では2〜4人の選手を選び、成績を横に並べて比べられます（各指標で一番良い値を強調）。能力レーダーは、打者ならミート・パワー・選球眼・走力、投手なら制球・奪三振・被打抑止を、チーム内での順位（0〜100）で表します。累積OPS（投手は累積防御率）の推移も選手ごとに重ねて表示します。</p>
+              </div>
+              <div>
+                <h4 className="font-semibold">データ管理画面</h4>
+                <p className="text-sm mt-1">「チーム設定」では、自チーム名の判定文字列と、A軍・B軍などのチーム区分を設定します。チーム区分は各画面のフィルタで選択できます。</p>
+                <p className="text-sm mt-1">「大会ルール」では、公式戦・ミニゲーム・練習試合などのルール（規定イニング、球数制限、DH、自由交代）を作成し、試合の「タイトル」ごとに割り当てます。防御率・奪三振率・与四死球率は、集計対象の試合のルールの規定イニングで換算されます。初期状態ではすべてのタイトルが「公式戦 (7回)」のルールで集計されます。練習試合などを5回で換算したい場合は、タイトルごとにルールを選んでください。</p>
+                <p className="text-sm mt-1">「選手名簿」では、別の選手IDで登録された同じ選手の統合、表示名の変更、背番号の変更履歴の確認ができます。統合と表示名はデータセットごとに保存されます。一覧や選手ページには最新の背番号を表示し、試合のボックススコアにはその試合で着けていた背番号を表示します。</p>
+                <p className="text-sm mt-1">CSVのインポートに加え、「データ品質」で保存済みデータの入力ミス（安打の内訳が合わない、S数が球数を超えている、など）を一覧できます。該当する試合はスコアアプリ側で修正し、再度インポートしてください。</p>
               </div>
             </div>
           </section>
@@ -1953,11 +5268,15 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
             <div className="pl-4 space-y-4 border-l-2 border-primary-100">
               <div>
                 <h4 className="font-semibold">データはブラウザに保存されます</h4>
-                <p className="text-sm mt-1">インポートしたデータは、お使いのPCのブラウザ内（ローカルストレージ）に保存されます。サーバーには一切送信されません。</p>
+                <p className="text-sm mt-1">インポートしたデータは、お使いのPCのブラウザ内（IndexedDB）に保存されます。サーバーには一切送信されません。</p>
+              </div>
+              <div>
+                <h4 className="font-semibold">データセットの切り替え</h4>
+                <p className="text-sm mt-1">「2025年度」「B軍のみ」のように、名前を付けた複数のデータセットを保存できます。画面上部のセレクトボックスで切り替え、「データ管理」で新規作成・名前の変更・削除ができます。「データをクリア」は表示中のデータセットだけを空にします。</p>
               </div>
               <div>
                 <h4 className="font-semibold">キャッシュクリアにご注意</h4>
-                <p className="text-sm mt-1">ブラウザのキャッシュや閲覧履歴を全削除すると、インポートしたデータも一緒に消えてしまう可能性があります。元のCSVファイルも必ずバックアップとして保管してください。</p>
+                <p className="text-sm mt-1">ブラウザのキャッシュや閲覧履歴を全削除すると、インポートしたデータも一緒に消えてしまう可能性があります。「データ管理」の「バックアップ」→「エクスポート」で定期的にバックアップファイルを保存し、「復元」で読み込み直してください。</p>
               </div>
             </div>
           </section>
@@ -1967,21 +5286,50 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
   );
 
   const GlossaryView = () => {
+    // Rate definitions follow the rule profiles of the games currently aggregated
+    const n = ruleInnings.values.length === 1 ? ruleInnings.values[0] : '規定回';
+    const gameText = ruleInnings.values.length === 1 ? `${ruleInnings.values[0]}回` : '規定回';
     const terms = [
       { term: "打率 (AVG)", definition: "安打 ÷ 打数。打者がヒットを打つ確率を示します。", category: "打撃" },
       { term: "出塁率 (OBP)", definition: "(安打 + 四球 + 死球) ÷ (打数 + 四球 + 死球 + 犠飛)。打者がどれだけ塁に出たかを示す確率です。", category: "打撃" },
       { term: "長打率 (SLG)", definition: "塁打 ÷ 打数。1打数あたりに獲得できる塁打の期待値。パワーを示します。", category: "打撃" },
       { term: "OPS", definition: "出塁率 + 長打率。得点への貢献度を測る総合的な指標です。", category: "打撃" },
       { term: "BB/K", definition: "四球 ÷ 三振。選球眼の良さを示し、1.0以上が優秀とされます。", category: "打撃" },
+      { term: "ISO (IsoP)", definition: "長打率 − 打率。単打を除いた純粋な長打力を示します。", category: "打撃" },
+      { term: "IsoD", definition: "出塁率 − 打率。四死球でどれだけ出塁を上積みしているか（選球眼）を示します。", category: "打撃" },
+      { term: "BABIP", definition: "(安打 − 本塁打) ÷ (打数 − 三振 − 本塁打 + 犠飛)。グラウンドに飛んだ打球が安打になった割合です。極端に高い・低い場合は運の要素が大きいと考えられます。", category: "打撃" },
+      { term: "三振率 (K%)", definition: "三振 ÷ 打席数。打席のうち三振した割合です。低いほど優秀です。", category: "打撃" },
+      { term: "四死球率 (BB%)", definition: "(四球 + 死球) ÷ 打席数。打席のうち四死球で出塁した割合です。", category: "打撃" },
+      { term: "盗塁成功率", definition: "盗塁 ÷ (盗塁 + 盗塁死)。盗塁を試みて成功した割合です。", category: "打撃" },
+      { term: "GO/FO", definition: "ゴロアウト ÷ フライアウト。1.0より大きければゴロが多い打者です。", category: "打撃" },
+      { term: "犠打率", definition: "犠打 ÷ 打席数。打席のうち送りバントを決めた割合です。", category: "打撃" },
+      { term: "長打割合", definition: "(二塁打 + 三塁打 + 本塁打) ÷ 安打。安打のうち長打が占める割合です。", category: "打撃" },
       { term: "PA (打席)", definition: "打席に立った回数。打数 + 四球 + 死球 + 犠打 + 犠飛。", category: "打撃" },
       { term: "AB (打数)", definition: "打席数から四球、死球、犠打、犠飛、打撃妨害を除いた数。", category: "打撃" },
+      { term: "得点圏打率", definition: "圏安打 ÷ 圏打数。走者が二塁・三塁にいる場面（得点圏）での打率です。", category: "打撃" },
+      { term: "得点圏打率差", definition: "得点圏打率 − 打率。プラスなら得点圏で普段より打てていることを示します。圏打数が少ないうちは大きく振れるので参考程度に。", category: "打撃" },
+      { term: "残塁/打席", definition: "残塁 ÷ 打席数。1打席あたりに残した走者の数です。低いほど走者を還せています。", category: "打撃" },
+      { term: "併殺打率", definition: "併殺打 ÷ 打席数。1打席あたりの併殺打の割合です。低いほど優秀です。", category: "打撃" },
+      { term: "信頼区間（調整後）", definition: "打率などの率の指標について、本当の実力がおよそ95%の確率で入る範囲（Wilsonの信頼区間）です。打数・打席が少ないほど幅が広くなります。", category: "打撃" },
+      { term: "調整後の値", definition: "選手の成績に、チーム平均の成績を一定数（打率なら30打数分）足して計算し直した値です。打数が少ない選手ほどチーム平均に近づくため、3打数2安打のような成績がランキング上位を占めにくくなります。", category: "打撃" },
+      { term: "規定打席", definition: `1試合あたりの打席数 × チームの試合数（現在 ${qualification.games}試合で${qualification.minPA}打席）。ランキングの対象になるのに必要な打席数で、分析・比較画面で1試合あたりの値を変更できます。`, category: "打撃" },
       { term: "投球回 (IP)", definition: "Innings Pitched. 投手が投げたイニング数。小数点以下はアウトカウントを表し、.1は1アウト、.2は2アウトを意味します。", category: "投手" },
-      { term: "防御率 (ERA)", definition: "(自責点 × 7) ÷ 投球回。投手が1試合（7回）投げた場合に何点取られるかを示します。低いほど優秀です。", category: "投手" },
+      { term: "防御率 (ERA)", definition: `(自責点 × ${n}) ÷ 投球回。投手が1試合（${gameText}）投げた場合に何点取られるかを示します。低いほど優秀です。`, category: "投手" },
       { term: "WHIP", definition: "(与四球 + 被安打) ÷ 投球回。1イニングあたりに何人の走者を出したかを示します。低いほど優秀です。", category: "投手" },
       { term: "K/BB", definition: "奪三振 ÷ 与四球。三振を四球で割った値で、投手の安定性を示します。高いほど優秀です。", category: "投手" },
       { term: "S率 (ストライク率)", definition: "ストライク数 ÷ 総投球数。投球全体のうちストライクが占める割合です。", category: "投手" },
-      { term: "奪三振率 (K/7)", definition: "(奪三振 × 7) ÷ 投球回。1試合（7回）あたりに奪う三振の数。", category: "投手" },
-      { term: "与四死球率 (BB/7)", definition: "((与四球 + 与死球) × 7) ÷ 投球回。1試合（7回）あたりに与える四死球の数。", category: "投手" },
+      { term: "被打率", definition: "被安打 ÷ 打数（対戦した打者の打数）。投手が打たれた安打の割合で、低いほど優秀です。", category: "投手" },
+      { term: "球数/回", definition: "球数 ÷ 投球回。1イニングを投げるのに要した球数で、少ないほど効率よく投げられています。", category: "投手" },
+      { term: "球数/打者", definition: "球数 ÷ 対戦打者数。1人の打者に投げた平均球数です。", category: "投手" },
+      { term: `暴投・ボーク/${ruleInnings.label}`, definition: `((暴投 + ボーク) × ${n}) ÷ 投球回。1試合（${gameText}）あたりの暴投とボークの数です。`, category: "投手" },
+      { term: "GO/FO (投手)", definition: "打ち取ったゴロアウト ÷ フライアウト。1.0より大きければゴロを打たせるタイプの投手です。", category: "投手" },
+      { term: "QS (クオリティスタート)", definition: "先発投手が試合を作ったことを示す記録です。スコアアプリの「QS」列の値をそのまま集計しています。", category: "投手" },
+      { term: "ホールド (H)", definition: "リードを保ったまま救援投手が降板した場合などに記録されます。スコアアプリの「ホールド」列の値をそのまま集計しています。", category: "投手" },
+      { term: "先発・救援", definition: "「先発」列が記録された登板を先発、それ以外を救援として集計します。投手成績画面と分析・比較画面で切り替えられます。", category: "投手" },
+      { term: `奪三振率 (K/${ruleInnings.label})`, definition: `(奪三振 × ${n}) ÷ 投球回。1試合（${gameText}）あたりに奪う三振の数。`, category: "投手" },
+      { term: `与四死球率 (BB/${ruleInnings.label})`, definition: `((与四球 + 与死球) × ${n}) ÷ 投球回。1試合（${gameText}）あたりに与える四死球の数。`, category: "投手" },
+      { term: "規定投球回", definition: `1試合あたりの投球回 × チームの試合数（現在 ${qualification.games}試合で${formatInnings(Math.ceil(qualification.minInnings * 3))}回）。投手ランキングの対象になるのに必要な投球回です。`, category: "投手" },
+      { term: "規定回", definition: `大会（タイトル）ごとのルール設定で決まる1試合のイニング数です。現在の集計対象: ${ruleInnings.values.map(v => `${v}回`).join('・')}。規定回の異なる試合をまとめて集計する場合は、各試合のアウト数で重み付けした平均の規定回で換算します。`, category: "投手" },
     ];
 
     const battingTerms = terms.filter(t => t.category === '打撃');
@@ -2015,19 +5363,41 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
   };
 
   return (
-    <div className="min-h-screen bg-slate-100 font-sans text-gray-800">
+    <div className="min-h-screen bg-slate-100 font-sans text-gray-800" onDragEnter={handleDragEnter} onDragOver={handleDragOver} onDragLeave={handleDragLeave} onDrop={handleDrop}>
+      {isDragging && (
+        <div className="fixed inset-0 z-50 bg-primary-900/60 flex items-center justify-center pointer-events-none">
+          <div className="bg-white rounded-xl shadow-xl px-10 py-8 text-center">
+            <Upload className="mx-auto h-10 w-10 text-primary-600" />
+            <p className="mt-3 text-lg font-bold text-gray-800">ドロップしてインポート</p>
+            <p className="text-sm text-gray-500">CSV・ZIP・Excelファイル（打撃・投手の混在可）</p>
+          </div>
+        </div>
+      )}
       <header className="bg-primary-900 text-white shadow-lg sticky top-0 z-10">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
           <div className="flex justify-between items-center h-16">
             <div className="flex items-center space-x-3">
               <Award className="h-8 w-8 text-yellow-400" />
               <h1 className="text-xl font-bold tracking-tight">ありんこアントス Dashboard</h1>
+              {datasets.length > 0 && (
+                <select
+                  value={activeDatasetId || ''}
+                  onChange={e => e.target.value === '__new__' ? createDataset() : switchDataset(e.target.value)}
+                  className="ml-2 max-w-[10rem] rounded-md bg-primary-800 border border-primary-700 text-sm text-white p-1.5 focus:outline-none"
+                  title="データセットを切り替え"
+                >
+                  {datasets.map(d => <option key={d.id} value={d.id}>{d.name}</option>)}
+                  <option value="__new__">＋ 新規作成...</option>
+                </select>
+              )}
             </div>
             {/* Desktop Menu */}
             <div className="hidden md:flex items-center space-x-1">
               <button onClick={() => handleNavClick('dashboard')} className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${activeTab === 'dashboard' ? 'bg-primary-800 text-white' : 'text-primary-100 hover:bg-primary-800'}`}>ホーム</button>
               <button onClick={() => handleNavClick('batting')} className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${activeTab === 'batting' ? 'bg-primary-800 text-white' : 'text-primary-100 hover:bg-primary-800'}`}>打撃成績</button>
               <button onClick={() => handleNavClick('pitching')} className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${activeTab === 'pitching' ? 'bg-primary-800 text-white' : 'text-primary-100 hover:bg-primary-800'}`}>投手成績</button>
+              <button onClick={() => handleNavClick('game')} className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${activeTab === 'game' ? 'bg-primary-800 text-white' : 'text-primary-100 hover:bg-primary-800'}`}>試合</button>
+              <button onClick={() => handleNavClick('workload')} className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${activeTab === 'workload' ? 'bg-primary-800 text-white' : 'text-primary-100 hover:bg-primary-800'}`}>投手管理</button>
               <button onClick={() => handleNavClick('trends')} className={`px-3 py-2 rounded-md text-sm font-medium transition-colors ${activeTab === 'trends' ? 'bg-primary-800 text-white' : 'text-primary-100 hover:bg-primary-800'} flex items-center`}>
                   <LineChartIcon className="w-4 h-4 mr-1"/>推移
               </button>
@@ -2060,6 +5430,8 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
               <button onClick={() => handleNavClick('dashboard')} className={`w-full text-left block px-3 py-2 rounded-md text-base font-medium ${activeTab === 'dashboard' ? 'bg-primary-800 text-white' : 'text-primary-100 hover:bg-primary-800'}`}>ホーム</button>
               <button onClick={() => handleNavClick('batting')} className={`w-full text-left block px-3 py-2 rounded-md text-base font-medium ${activeTab === 'batting' ? 'bg-primary-800 text-white' : 'text-primary-100 hover:bg-primary-800'}`}>打撃成績</button>
               <button onClick={() => handleNavClick('pitching')} className={`w-full text-left block px-3 py-2 rounded-md text-base font-medium ${activeTab === 'pitching' ? 'bg-primary-800 text-white' : 'text-primary-100 hover:bg-primary-800'}`}>投手成績</button>
+              <button onClick={() => handleNavClick('game')} className={`w-full text-left block px-3 py-2 rounded-md text-base font-medium ${activeTab === 'game' ? 'bg-primary-800 text-white' : 'text-primary-100 hover:bg-primary-800'}`}>試合</button>
+              <button onClick={() => handleNavClick('workload')} className={`w-full text-left block px-3 py-2 rounded-md text-base font-medium ${activeTab === 'workload' ? 'bg-primary-800 text-white' : 'text-primary-100 hover:bg-primary-800'}`}>投手管理</button>
               <button onClick={() => handleNavClick('trends')} className={`w-full text-left flex items-center px-3 py-2 rounded-md text-base font-medium ${activeTab === 'trends' ? 'bg-primary-800 text-white' : 'text-primary-100 hover:bg-primary-800'}`}><LineChartIcon className="w-5 h-5 mr-2"/>推移</button>
               <button onClick={() => handleNavClick('comparison')} className={`w-full text-left flex items-center px-3 py-2 rounded-md text-base font-medium ${activeTab === 'comparison' ? 'bg-primary-800 text-white' : 'text-primary-100 hover:bg-primary-800'}`}><BarChart2 className="w-5 h-5 mr-2"/>分析・比較</button>
               <div className="border-t border-primary-700 my-2"></div>
@@ -2084,11 +5456,22 @@ const AllChartsView = ({ data, metricOptions, isPitching }) => {
         {lastUpdated && activeTab === 'dashboard' && <DashboardView />}
         {lastUpdated && activeTab === 'batting' && <BattingView />}
         {lastUpdated && activeTab === 'pitching' && <PitchingView />}
+        {lastUpdated && activeTab === 'game' && (selectedGameId ? <GameView /> : <GameListView />)}
+        {lastUpdated && activeTab === 'workload' && <WorkloadView />}
+        {lastUpdated && activeTab === 'player' && <PlayerProfileView />}
         {lastUpdated && activeTab === 'trends' && <TrendsView />}
         {lastUpdated && activeTab === 'comparison' && <ComparisonView />}
         {activeTab === 'manual' && <ManualView />}
         {activeTab === 'glossary' && <GlossaryView />}
-        {activeTab === 'settings' && <ImportSection />}
+        {activeTab === 'settings' && (
+          <div className="space-y-6">
+            <ImportSection />
+            <TeamSettingsPanel />
+            <RuleProfilesPanel />
+            <RosterPanel />
+            <DataQualityPanel />
+          </div>
+        )}
       </main>
       
       <footer className="bg-slate-200 mt-12 py-6 text-center text-sm text-gray-500">